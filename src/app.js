@@ -3,20 +3,24 @@ const cors = require('cors');
 const createError = require('http-errors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
-const path = require('path');
 const { createHandler } = require('graphql-http/lib/use/express');
 const notesSchema = require('./modules/notes/notes.graphql');
 require('dotenv').config();
 
 const app = express();
 
+// Behind a reverse proxy, take the client IP from X-Forwarded-For (rate limits and lockouts are per IP)
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
 // Connect to database
 const { connectDB } = require('./config/database');
 connectDB();
 
 // Verify email configuration
-const { verifyEmailConfig } = require('./config/email.config');
-verifyEmailConfig().then(isConfigured => {
+const { verifyEmailTransport } = require('./email/transport');
+verifyEmailTransport().then(isConfigured => {
     if (isConfigured) {
         console.log('📧 Email service is configured and ready');
     } else {
@@ -24,6 +28,46 @@ verifyEmailConfig().then(isConfigured => {
     }
 });
 
+// Send queued emails in the background
+const { startEmailQueue } = require('./email/mailer');
+startEmailQueue();
+
+// Remove attachments of notes purged from the trash
+const {
+    startAttachmentCleanup, migrateTextIndex, backfillPlainText, backfillNoteAnalysis, backfillNoteState
+} = require('./modules/notes/notes.service');
+startAttachmentCleanup();
+
+// Email reminders of notes when they are due
+const { startReminderScheduler } = require('./modules/reminders/reminders.service');
+startReminderScheduler();
+
+// Replace the text index of an earlier version, index notes created before Markdown
+// support, then analyze notes without an up-to-date summary and term counts
+// (both are computed from the plain text)
+migrateTextIndex()
+    .then(dropped => {
+        if (dropped.length > 0) console.log(`🔎 Replaced the old text index (${dropped.join(', ')}) of notes`);
+    })
+    .catch(error => console.error('Text index migration failed:', error.message))
+    .then(() => backfillPlainText())
+    .then(count => {
+        if (count > 0) console.log(`🔎 Indexed plain text of ${count} existing note(s)`);
+    })
+    .catch(error => console.error('Plain text backfill failed:', error.message))
+    .then(() => backfillNoteAnalysis())
+    .then(count => {
+        if (count > 0) console.log(`🧠 Analyzed ${count} existing note(s)`);
+    })
+    .catch(error => console.error('Note analysis backfill failed:', error.message));
+
+// Set the pinned, archived and favorite flags of notes created before they existed
+backfillNoteState()
+    .then(count => {
+        if (count > 0) console.log(`📌 Set the state of ${count} existing note(s)`);
+    })
+    .catch(error => console.error('Note state backfill failed:', error.message));
+
 // Basic security and rate limiting
 app.use(helmet());
 app.use(rateLimit({
@@ -36,16 +80,15 @@ app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Serve static files
-app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
-
 // API Routes
 
 app.use('/api/auth', require('./modules/auth/auth.routes'));
 app.use('/api/notes', require('./modules/notes/notes.routes'));
+app.use('/api/notebooks', require('./modules/notebooks/notebooks.routes'));
+app.use('/api/reminders', require('./modules/reminders/reminders.routes'));
 
 // GraphQL endpoint
-const { authenticate } = require('./middleware/auth.middleware');
+const { authenticate, requireVerified } = require('./middleware/auth.middleware');
 
 // Test endpoint to verify authentication
 app.get('/test-auth', authenticate, (req, res) => {
@@ -56,7 +99,7 @@ app.get('/test-auth', authenticate, (req, res) => {
 });
 
 // GraphQL endpoint with authentication
-app.all('/graphql', authenticate, (req, res) => {
+app.all('/graphql', authenticate, requireVerified, (req, res) => {
     const handler = createHandler({
         schema: notesSchema,
         context: () => {
@@ -82,6 +125,10 @@ app.use((err, req, res, next) => {
     const status = err.status || err.statusCode || 500;
     const message = err.message || 'Internal Server Error';
 
+    if (err.headers) {
+        res.set(err.headers);
+    }
+
     res.status(status).json({
         success: false,
         message
@@ -32,7 +32,8 @@ const jwtConfig = {
     privateKey,
     publicKey,
     algorithm: 'RS256', // RSA with SHA-256
-    expiresIn: process.env.JWT_EXPIRES_IN || '24h',
+    expiresIn: process.env.JWT_EXPIRES_IN || '15m', // Short-lived access token
+    refreshExpiresInDays: parseInt(process.env.JWT_REFRESH_EXPIRES_IN_DAYS) || 30,
     issuer: process.env.JWT_ISSUER || 'smart-note-app',
     audience: 'smart-note-app-users'
 };
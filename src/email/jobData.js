@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+const emailConfig = require('../config/email.config');
+const jwtConfig = require('../config/jwt.config');
+
+/**
+ * Encryption of queued email data
+ * Template data can hold one-time codes, so it is stored encrypted
+ * (AES-256-GCM) until the email is sent. The key is derived from
+ * EMAIL_DATA_KEY, or from the JWT private key when it isn't set.
+ */
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+const FORMAT_VERSION = 'v1';
+
+const key = Buffer.from(crypto.hkdfSync(
+    'sha256',
+    emailConfig.dataKey || jwtConfig.privateKey,
+    Buffer.alloc(0),
+    'email-job-data',
+    32
+));
+
+/**
+ * Encrypt template data for storage
+ * @param {Object} data - Template data
+ * @returns {string} v1:<iv>:<auth tag>:<ciphertext>, base64 parts
+ */
+const sealJobData = (data) => {
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    const encrypted = Buffer.concat([cipher.update(JSON.stringify(data ?? null), 'utf8'), cipher.final()]);
+
+    return [FORMAT_VERSION, iv, cipher.getAuthTag(), encrypted]
+        .map(part => (Buffer.isBuffer(part) ? part.toString('base64') : part))
+        .join(':');
+};
+
+/**
+ * Decrypt stored template data
+ * @param {string} sealed - Output of sealJobData
+ * @returns {Object} Template data
+ * @throws {Error} When the data was tampered with or sealed with another key
+ */
+const openJobData = (sealed) => {
+    const [version, iv, tag, encrypted] = String(sealed).split(':');
+    if (version !== FORMAT_VERSION || !encrypted) {
+        throw new Error('Unreadable email data');
+    }
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    const decrypted = Buffer.concat([decipher.update(Buffer.from(encrypted, 'base64')), decipher.final()]);
+
+    return JSON.parse(decrypted.toString('utf8'));
+};
+
+module.exports = {
+    sealJobData,
+    openJobData
+};
@@ -0,0 +1,198 @@
+const EmailJob = require('../models/EmailJob.model');
+const emailConfig = require('../config/email.config');
+const { transport } = require('./transport');
+const { renderTemplate } = require('./templates');
+const { sealJobData, openJobData } = require('./jobData');
+
+/**
+ * Sending emails
+ * Requests queue their emails and respond right away; a worker in the app
+ * process sends them and retries failed sends. Jobs are claimed atomically,
+ * so several app instances can run the worker side by side.
+ */
+
+const MAX_SEND_ATTEMPTS = 5;
+const RETRY_BASE_MS = 30 * 1000; // 30 seconds, then 1, 2 and 4 minutes between attempts
+const SEND_LOCK_MS = 2 * 60 * 1000; // A claim older than this is taken over
+const DEFAULT_EXPIRY_MS = 24 * 60 * 60 * 1000; // Unsent emails are dropped after a day
+const FAILED_RETENTION_MS = 7 * 24 * 60 * 60 * 1000; // Failed jobs are kept a week
+const MAX_EMAILS_PER_RUN = 100;
+
+/**
+ * Render and send an email now
+ * Use queueEmail unless the caller retries failed sends itself
+ * @param {string} to - Recipient
+ * @param {string} template - Template name (see templates/index.js)
+ * @param {Object} data - Template data
+ * @param {Object} options - { locale }
+ * @returns {Promise<Object>} { messageId }
+ */
+const sendEmail = async (to, template, data, { locale } = {}) => {
+    const message = renderTemplate(template, locale, data);
+
+    return transport.send({
+        from: `"${emailConfig.fromName}" <${emailConfig.from}>`,
+        to,
+        ...message,
+        template
+    });
+};
+
+/**
+ * Send the emails that are due
+ * @returns {Promise<Object>} Count per outcome
+ */
+const processEmailQueue = async () => {
+    const outcomes = {};
+    const count = (outcome) => {
+        outcomes[outcome] = (outcomes[outcome] || 0) + 1;
+    };
+
+    for (let i = 0; i < MAX_EMAILS_PER_RUN; i++) {
+        const now = new Date();
+
+        // Claim one email at a time: due ones, and ones a stopped process left behind
+        const job = await EmailJob.findOneAndUpdate(
+            {
+                $or: [
+                    { status: 'queued', nextAttemptAt: { $lte: now } },
+                    { status: 'sending', lockedUntil: { $lte: now } }
+                ]
+            },
+            { status: 'sending', lockedUntil: new Date(now.getTime() + SEND_LOCK_MS) },
+            { new: true, sort: { nextAttemptAt: 1 } }
+        );
+
+        if (!job) break;
+
+        // Expired jobs are removed by the TTL index, but it only runs once a minute
+        if (job.expiresAt <= now) {
+            await EmailJob.deleteOne({ _id: job._id });
+            count('expired');
+            continue;
+        }
+
+        const attempts = job.attempts + 1;
+
+        let data;
+        try {
+            data = openJobData(job.data);
+        } catch (error) {
+            // Retrying won't help, e.g. the key changed since the email was queued
+            console.error(`❌ Cannot read queued ${job.template} email to ${job.to}:`, error.message);
+            await EmailJob.updateOne({ _id: job._id, status: 'sending' }, {
+                status: 'failed',
+                lockedUntil: null,
+                attempts,
+                lastError: error.message,
+                data: null,
+                expiresAt: new Date(Date.now() + FAILED_RETENTION_MS)
+            });
+            count('failed');
+            continue;
+        }
+
+        try {
+            await sendEmail(job.to, job.template, data, { locale: job.locale });
+        } catch (error) {
+            const retry = attempts < MAX_SEND_ATTEMPTS;
+            console.error(`❌ Failed to send ${job.template} email to ${job.to} (attempt ${attempts}/${MAX_SEND_ATTEMPTS}):`, error.message);
+
+            await EmailJob.updateOne({ _id: job._id, status: 'sending' }, retry
+                ? {
+                    status: 'queued',
+                    nextAttemptAt: new Date(Date.now() + RETRY_BASE_MS * 2 ** (attempts - 1)),
+                    lockedUntil: null,
+                    attempts,
+                    lastError: error.message
+                }
+                : {
+                    status: 'failed',
+                    lockedUntil: null,
+                    attempts,
+                    lastError: error.message,
+                    data: null,
+                    expiresAt: new Date(Date.now() + FAILED_RETENTION_MS)
+                });
+            count(retry ? 'retry' : 'failed');
+            continue;
+        }
+
+        await EmailJob.deleteOne({ _id: job._id });
+        count('sent');
+    }
+
+    return outcomes;
+};
+
+// One run of the worker at a time; emails queued during a run trigger another one
+let running = false;
+let runAgain = false;
+
+const runQueue = () => {
+    if (running) {
+        runAgain = true;
+        return;
+    }
+    running = true;
+
+    processEmailQueue()
+        .then(outcomes => {
+            if (outcomes.failed) console.error(`❌ Gave up on ${outcomes.failed} email(s) after ${MAX_SEND_ATTEMPTS} attempts`);
+        })
+        .catch(error => console.error('❌ Email queue failed:', error.message))
+        .finally(() => {
+            running = false;
+            if (runAgain) {
+                runAgain = false;
+                runQueue();
+            }
+        });
+};
+
+/**
+ * Queue an email; it is sent in the background, with retries
+ * @param {string} to - Recipient
+ * @param {string} template - Template name (see templates/index.js)
+ * @param {Object} data - Template data
+ * @param {Object} options - { locale, expiresAt: drop the email if still unsent by then }
+ * @returns {Promise<Object>} Email job
+ */
+const queueEmail = async (to, template, data, { locale = null, expiresAt } = {}) => {
+    // Fail now, in the request, on an unknown template or bad data
+    renderTemplate(template, locale, data);
+
+    const job = await EmailJob.create({
+        to,
+        template,
+        locale,
+        data: sealJobData(data),
+        expiresAt: expiresAt || new Date(Date.now() + DEFAULT_EXPIRY_MS)
+    });
+
+    setImmediate(runQueue);
+    return job;
+};
+
+/**
+ * Periodically send queued emails and retry failed sends
+ * @param {number} intervalMs - Interval between runs
+ * @returns {Object} Interval handle
+ */
+const startEmailQueue = (intervalMs = 15 * 1000) => {
+    // Send what was queued while the app was down
+    setImmediate(runQueue);
+
+    const timer = setInterval(runQueue, intervalMs);
+
+    // Don't keep the process alive just for the queue
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    sendEmail,
+    queueEmail,
+    processEmailQueue,
+    startEmailQueue
+};
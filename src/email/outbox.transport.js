@@ -0,0 +1,75 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Development email transports: nothing is sent, emails are kept locally
+ * so codes and links can be read without a mail server
+ */
+
+/**
+ * File outbox: every email is written as a JSON file
+ * Files are named <date>-<template>-<random>.json, so they sort by time
+ *
+ * @param {Object} options - Options
+ * @param {string} options.dir - Outbox directory
+ * @returns {Object} Email transport (see transport.js)
+ */
+const createFileOutbox = ({ dir }) => {
+    const outboxDir = path.resolve(dir);
+
+    return {
+        name: 'file',
+
+        async send(message) {
+            const sentAt = new Date();
+            const fileName = `${sentAt.toISOString().replace(/[:.]/g, '-')}-${message.template}-${crypto.randomBytes(3).toString('hex')}.json`;
+
+            await fs.promises.mkdir(outboxDir, { recursive: true });
+            await fs.promises.writeFile(
+                path.join(outboxDir, fileName),
+                JSON.stringify({ ...message, sentAt }, null, 2)
+            );
+
+            console.log(`📥 Email to ${message.to} written to ${path.join(outboxDir, fileName)}`);
+            return { messageId: fileName };
+        },
+
+        async verify() {
+            await fs.promises.mkdir(outboxDir, { recursive: true });
+            return true;
+        }
+    };
+};
+
+/**
+ * Console outbox: every email is printed (text variant only)
+ * @returns {Object} Email transport (see transport.js)
+ */
+const createConsoleOutbox = () => ({
+    name: 'console',
+
+    async send({ from, to, subject, text, template, locale }) {
+        console.log([
+            '📧 ───── Email (not sent) ─────',
+            `From: ${from}`,
+            `To: ${to}`,
+            `Subject: ${subject}`,
+            `Template: ${template} (${locale})`,
+            '',
+            text,
+            '─────────────────────────────'
+        ].join('\n'));
+
+        return { messageId: `console-${crypto.randomBytes(6).toString('hex')}` };
+    },
+
+    async verify() {
+        return true;
+    }
+});
+
+module.exports = {
+    createFileOutbox,
+    createConsoleOutbox
+};
@@ -0,0 +1,50 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * SMTP email transport (nodemailer)
+ *
+ * @param {Object} options - host, port, secure, user and pass
+ * @returns {Object} Email transport (see transport.js)
+ */
+const createSmtpTransport = ({ host, port, secure, user, pass }) => {
+    if (!user || !pass) {
+        console.warn('⚠️  Email not configured. Set SMTP_USER and SMTP_PASS environment variables.');
+    }
+
+    const transporter = user && pass
+        ? nodemailer.createTransport({
+            host,
+            port,
+            secure,
+            auth: { user, pass },
+            // Add timeout and connection settings
+            connectionTimeout: 10000,
+            greetingTimeout: 10000,
+            socketTimeout: 10000
+        })
+        : null;
+
+    return {
+        name: 'smtp',
+
+        async send({ from, to, subject, text, html }) {
+            if (!transporter) {
+                throw new Error('Email not configured. Please set SMTP_USER and SMTP_PASS environment variables.');
+            }
+            const result = await transporter.sendMail({ from, to, subject, text, html });
+            return { messageId: result.messageId };
+        },
+
+        async verify() {
+            if (!transporter) {
+                return false;
+            }
+            await transporter.verify();
+            return true;
+        }
+    };
+};
+
+module.exports = {
+    createSmtpTransport
+};
@@ -0,0 +1,27 @@
+/**
+ * Confirmation code of an email address change
+ * Goes to the new address, to prove the user owns it
+ * Data: { code }
+ */
+module.exports = {
+    en: {
+        subject: () => 'Confirm Your New Email',
+        text: ({ code }) => `Your email change confirmation code is: ${code}. Valid for 30 minutes.`,
+        html: ({ code }) => `
+                    <h2>Confirm Your New Email Address</h2>
+                    <p>You asked to use this address for your Smart Note App account. Use the following code to confirm the change:</p>
+                    <div class="otp">${code}</div>
+                    <p><strong>This code is valid for 30 minutes only.</strong></p>
+                    <p>If you didn't request this change, please ignore this email.</p>`
+    },
+    es: {
+        subject: () => 'Confirma tu nuevo correo electrónico',
+        text: ({ code }) => `Tu código para confirmar el cambio de correo es: ${code}. Válido durante 30 minutos.`,
+        html: ({ code }) => `
+                    <h2>Confirma tu nueva dirección de correo</h2>
+                    <p>Has pedido usar esta dirección para tu cuenta de Smart Note App. Usa el siguiente código para confirmar el cambio:</p>
+                    <div class="otp">${code}</div>
+                    <p><strong>Este código solo es válido durante 30 minutos.</strong></p>
+                    <p>Si no has solicitado este cambio, ignora este correo.</p>`
+    }
+};
@@ -0,0 +1,72 @@
+const { renderLayout } = require('./layout');
+
+/**
+ * Email templates
+ *
+ * One module per message type, with one entry per locale. Each entry has
+ * subject(data), text(data) and html(data) functions; html returns the content
+ * that goes into the shared layout. Every template has the default locale.
+ */
+const templates = {
+    verification: require('./verification'),
+    'password-reset': require('./passwordReset'),
+    'email-change': require('./emailChange'),
+    reminder: require('./reminder')
+};
+
+const DEFAULT_LOCALE = 'en';
+const SUPPORTED_LOCALES = ['en', 'es'];
+
+const FOOTERS = {
+    en: 'This is an automated message from Smart Note App',
+    es: 'Este es un mensaje automático de Smart Note App'
+};
+
+/**
+ * Pick the supported locale for a requested one: exact match, then the
+ * language without region (es-MX -> es), then the default
+ * @param {string} locale - Requested locale
+ * @returns {string} Supported locale
+ */
+const resolveLocale = (locale) => {
+    if (!locale) {
+        return DEFAULT_LOCALE;
+    }
+    const requested = locale.toLowerCase();
+    const language = requested.split('-')[0];
+    return SUPPORTED_LOCALES.find(supported => supported === requested)
+        || SUPPORTED_LOCALES.find(supported => supported === language)
+        || DEFAULT_LOCALE;
+};
+
+/**
+ * Render an email from a template
+ * @param {string} name - Template name
+ * @param {string} locale - Requested locale
+ * @param {Object} data - Template data
+ * @returns {Object} { subject, text, html, locale }
+ */
+const renderTemplate = (name, locale, data) => {
+    const template = templates[name];
+    if (!template) {
+        throw new Error(`Unknown email template "${name}". Available templates: ${Object.keys(templates).join(', ')}`);
+    }
+
+    const resolved = template[resolveLocale(locale)] ? resolveLocale(locale) : DEFAULT_LOCALE;
+    const { subject, text, html } = template[resolved];
+    const title = subject(data);
+
+    return {
+        subject: `${title} - Smart Note App`,
+        text: text(data),
+        html: renderLayout({ lang: resolved, title, body: html(data), footer: FOOTERS[resolved] }),
+        locale: resolved
+    };
+};
+
+module.exports = {
+    DEFAULT_LOCALE,
+    SUPPORTED_LOCALES,
+    resolveLocale,
+    renderTemplate
+};
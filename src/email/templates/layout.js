@@ -0,0 +1,57 @@
+/**
+ * Shared HTML layout of all emails
+ */
+
+// User content (note titles and text) must be escaped in HTML emails
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Wrap the content of an email in the layout
+ * @param {Object} options - Options
+ * @param {string} options.lang - Locale of the email
+ * @param {string} options.title - Document title (plain text)
+ * @param {string} options.body - HTML content
+ * @param {string} options.footer - Footer text (plain text)
+ * @returns {string} HTML document
+ */
+const renderLayout = ({ lang, title, body, footer }) => `
+        <!DOCTYPE html>
+        <html lang="${escapeHtml(lang)}">
+        <head>
+            <meta charset="utf-8">
+            <title>${escapeHtml(title)}</title>
+            <style>
+                body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+                .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+                .header { background: #007bff; color: white; padding: 20px; text-align: center; }
+                .content { padding: 20px; background: #f8f9fa; }
+                .otp { font-size: 32px; font-weight: bold; text-align: center; color: #007bff; padding: 20px; background: white; margin: 20px 0; }
+                .note { padding: 20px; background: white; margin: 20px 0; border-left: 4px solid #007bff; }
+                .footer { text-align: center; padding: 20px; color: #666; font-size: 12px; }
+            </style>
+        </head>
+        <body>
+            <div class="container">
+                <div class="header">
+                    <h1>Smart Note App</h1>
+                </div>
+                <div class="content">
+                    ${body}
+                </div>
+                <div class="footer">
+                    <p>${escapeHtml(footer)}</p>
+                </div>
+            </div>
+        </body>
+        </html>
+    `;
+
+module.exports = {
+    escapeHtml,
+    renderLayout
+};
@@ -0,0 +1,26 @@
+/**
+ * Password reset code (OTP)
+ * Data: { code }
+ */
+module.exports = {
+    en: {
+        subject: () => 'Password Reset OTP',
+        text: ({ code }) => `Your password reset OTP is: ${code}. Valid for 10 minutes.`,
+        html: ({ code }) => `
+                    <h2>Password Reset Request</h2>
+                    <p>You have requested to reset your password. Use the following OTP to complete the process:</p>
+                    <div class="otp">${code}</div>
+                    <p><strong>This OTP is valid for 10 minutes only.</strong></p>
+                    <p>If you didn't request this password reset, please ignore this email.</p>`
+    },
+    es: {
+        subject: () => 'Código para restablecer la contraseña',
+        text: ({ code }) => `Tu código para restablecer la contraseña es: ${code}. Válido durante 10 minutos.`,
+        html: ({ code }) => `
+                    <h2>Restablecer la contraseña</h2>
+                    <p>Has solicitado restablecer tu contraseña. Usa el siguiente código para completar el proceso:</p>
+                    <div class="otp">${code}</div>
+                    <p><strong>Este código solo es válido durante 10 minutos.</strong></p>
+                    <p>Si no has solicitado restablecer tu contraseña, ignora este correo.</p>`
+    }
+};
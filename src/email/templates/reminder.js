@@ -0,0 +1,42 @@
+const { escapeHtml } = require('./layout');
+
+/**
+ * Reminder of a note
+ * Data: { noteId, title, excerpt, remindAt }
+ */
+
+// Reminder time in the language of the email (users have no time zone, so UTC)
+const formatTime = (date, locale) => `${new Date(date).toLocaleString(locale, {
+    dateStyle: 'full',
+    timeStyle: 'short',
+    timeZone: 'UTC'
+})} UTC`;
+
+module.exports = {
+    en: {
+        subject: ({ title }) => `Reminder: ${title}`,
+        text: ({ noteId, title, excerpt, remindAt }) =>
+            `Reminder for ${formatTime(remindAt, 'en')}: ${title}\n\n${excerpt}\n\nNote ID: ${noteId}`,
+        html: ({ noteId, title, excerpt, remindAt }) => `
+                    <h2>Reminder</h2>
+                    <p>You asked to be reminded of this note on ${formatTime(remindAt, 'en')}:</p>
+                    <div class="note">
+                        <h3>${escapeHtml(title)}</h3>
+                        <p>${escapeHtml(excerpt)}</p>
+                    </div>
+                    <p>Note ID: ${noteId}</p>`
+    },
+    es: {
+        subject: ({ title }) => `Recordatorio: ${title}`,
+        text: ({ noteId, title, excerpt, remindAt }) =>
+            `Recordatorio para el ${formatTime(remindAt, 'es')}: ${title}\n\n${excerpt}\n\nID de la nota: ${noteId}`,
+        html: ({ noteId, title, excerpt, remindAt }) => `
+                    <h2>Recordatorio</h2>
+                    <p>Pediste que te recordáramos esta nota el ${formatTime(remindAt, 'es')}:</p>
+                    <div class="note">
+                        <h3>${escapeHtml(title)}</h3>
+                        <p>${escapeHtml(excerpt)}</p>
+                    </div>
+                    <p>ID de la nota: ${noteId}</p>`
+    }
+};
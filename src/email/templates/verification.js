@@ -0,0 +1,26 @@
+/**
+ * Email verification code, sent after registration
+ * Data: { code }
+ */
+module.exports = {
+    en: {
+        subject: () => 'Verify Your Email',
+        text: ({ code }) => `Your email verification code is: ${code}. Valid for 30 minutes.`,
+        html: ({ code }) => `
+                    <h2>Verify Your Email Address</h2>
+                    <p>Thanks for signing up! Use the following code to verify your email address:</p>
+                    <div class="otp">${code}</div>
+                    <p><strong>This code is valid for 30 minutes only.</strong></p>
+                    <p>If you didn't create an account, please ignore this email.</p>`
+    },
+    es: {
+        subject: () => 'Verifica tu correo electrónico',
+        text: ({ code }) => `Tu código de verificación es: ${code}. Válido durante 30 minutos.`,
+        html: ({ code }) => `
+                    <h2>Verifica tu dirección de correo</h2>
+                    <p>¡Gracias por registrarte! Usa el siguiente código para verificar tu dirección de correo:</p>
+                    <div class="otp">${code}</div>
+                    <p><strong>Este código solo es válido durante 30 minutos.</strong></p>
+                    <p>Si no has creado una cuenta, ignora este correo.</p>`
+    }
+};
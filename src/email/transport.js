@@ -0,0 +1,59 @@
+const emailConfig = require('../config/email.config');
+const { createSmtpTransport } = require('./smtp.transport');
+const { createFileOutbox, createConsoleOutbox } = require('./outbox.transport');
+
+/**
+ * Email transport abstraction
+ *
+ * Every transport implements the same interface, selected by EMAIL_TRANSPORT:
+ *
+ *   send(message): Promise<{ messageId }>  - rejects if the email could not be handed over
+ *   verify(): Promise<boolean>             - whether the transport is ready to send
+ *
+ * message is { from, to, subject, text, html, template, locale }.
+ */
+
+// Registered transports: name -> factory
+const drivers = {
+    smtp: () => createSmtpTransport(emailConfig),
+    file: () => createFileOutbox({ dir: emailConfig.outboxDir }),
+    console: () => createConsoleOutbox()
+};
+
+/**
+ * Create the email transport for a driver
+ * @param {string} driver - Driver name
+ * @returns {Object} Email transport
+ */
+const createTransport = (driver = emailConfig.transport) => {
+    const factory = drivers[driver];
+    if (!factory) {
+        throw new Error(`Unknown email transport "${driver}". Available transports: ${Object.keys(drivers).join(', ')}`);
+    }
+    return factory();
+};
+
+const transport = createTransport();
+
+/**
+ * Verify the email transport
+ * @returns {Promise<boolean>} Whether emails can be sent
+ */
+const verifyEmailTransport = async () => {
+    try {
+        const ready = await transport.verify();
+        if (ready) {
+            console.log(`✅ Email transport "${transport.name}" verified successfully`);
+        }
+        return ready;
+    } catch (error) {
+        console.error('❌ Email configuration verification failed:', error.message);
+        return false;
+    }
+};
+
+module.exports = {
+    transport,
+    createTransport,
+    verifyEmailTransport
+};
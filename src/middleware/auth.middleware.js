@@ -1,6 +1,8 @@
 const jwt = require('jsonwebtoken');
 const jwtConfig = require('../config/jwt.config');
 const User = require('../models/User.model');
+const RevokedToken = require('../models/RevokedToken.model');
+const Note = require('../models/Note.model');
 const createError = require('http-errors');
 
 /**
@@ -40,14 +42,30 @@ const authenticate = async (req, res, next) => {
             }
         }
 
+        // Reject tokens that were explicitly revoked (logout)
+        const isRevoked = await RevokedToken.exists({ jti: decoded.jti });
+        if (isRevoked) {
+            throw createError(401, 'Token has been revoked');
+        }
+
         // Verify user still exists
         const user = await User.findById(decoded.sub).select('-password');
         if (!user) {
             throw createError(401, 'User not found');
         }
 
-        // Attach user info to request
+        // Reject tokens issued before the user logged out everywhere
+        if (user.tokensRevokedAt && decoded.iat * 1000 <= user.tokensRevokedAt.getTime()) {
+            throw createError(401, 'Token has been revoked');
+        }
+
+        // Attach user and token info to request
         req.user = user;
+        req.token = {
+            jti: decoded.jti,
+            iat: decoded.iat,
+            exp: decoded.exp
+        };
 
         next();
     } catch (error) {
@@ -81,26 +99,78 @@ const optionalAuthenticate = async (req, res, next) => {
 };
 
 /**
- * Simple ownership check for notes
- * Ensures users can only access their own notes
- * 
+ * Note access check
+ * Loads the note from req.params.id and ensures the user owns it or it was
+ * shared with them with at least the required permission.
+ * Sets req.note and req.notePermission.
+ *
+ * @param {string} permission - Required permission: read, edit or owner
+ * @param {Object} options - Options
+ * @param {boolean} options.inTrash - Match trashed notes instead of active ones
+ * @returns {Function} Express middleware function
+ */
+const requireNoteAccess = (permission = 'owner', { inTrash = false } = {}) => {
+    return async (req, res, next) => {
+        try {
+            if (!req.user) {
+                throw createError(401, 'Authentication required');
+            }
+
+            const note = await Note.findOne({
+                _id: req.params.id,
+                deletedAt: inTrash ? { $ne: null } : null
+            });
+            const granted = note ? Note.getPermission(note, req.user._id) : null;
+
+            // Don't reveal notes the user can't see at all
+            if (!granted) {
+                throw createError(404, 'Note not found');
+            }
+
+            if (!Note.hasPermission(granted, permission)) {
+                throw createError(403, 'You do not have permission to perform this action on this note');
+            }
+
+            req.note = note;
+            req.notePermission = granted;
+
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+};
+
+/**
+ * Ownership check for notes
+ * Ensures users can only manage their own notes
+ */
+const requireOwnership = requireNoteAccess('owner');
+
+/**
+ * Require the authenticated user to have a verified email address
+ * Enforced only when REQUIRE_EMAIL_VERIFICATION=true
+ *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
  */
-const requireOwnership = (req, res, next) => {
+const requireVerified = (req, res, next) => {
     if (!req.user) {
         return next(createError(401, 'Authentication required'));
     }
 
-    // This will be used in note routes to verify ownership
+    if (process.env.REQUIRE_EMAIL_VERIFICATION === 'true' && !req.user.isVerified) {
+        return next(createError(403, 'Please verify your email address first'));
+    }
+
     next();
 };
 
-
-
 module.exports = {
     authenticate,
     optionalAuthenticate,
-    requireOwnership
+    requireOwnership,
+    requireNoteAccess,
+    requireVerified
 };
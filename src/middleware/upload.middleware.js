@@ -1,30 +1,14 @@
 const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
 const createError = require('http-errors');
+const { sniffImageType } = require('../utils/image');
 
-// Simple upload configuration
-const uploadDir = path.join(__dirname, '../../uploads');
+// Files are kept in memory, then written through the storage backend
+// (src/storage/storage.js) so they are never publicly reachable on disk
+const storage = multer.memoryStorage();
 
-// Ensure upload directory exists
-if (!fs.existsSync(uploadDir)) {
-    fs.mkdirSync(uploadDir, { recursive: true });
-}
-
-// Simple storage configuration
-const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        cb(null, uploadDir);
-    },
-    filename: (req, file, cb) => {
-        const uniqueName = `${Date.now()}-${Math.round(Math.random() * 1E9)}${path.extname(file.originalname)}`;
-        cb(null, uniqueName);
-    }
-});
-
-// Basic file filter
+// Basic file filter (content is verified after upload)
 const fileFilter = (req, file, cb) => {
-    const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif'];
+    const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp'];
 
     if (allowedTypes.includes(file.mimetype)) {
         cb(null, true);
@@ -61,10 +45,113 @@ const handleUpload = (req, res, next) => {
             return next(createError(400, 'No file uploaded'));
         }
 
+        // The declared mimetype comes from the client: check the actual content
+        if (!sniffImageType(req.file.buffer)) {
+            return next(createError(400, 'Only image files are allowed'));
+        }
+
+        next();
+    });
+};
+
+// Note attachments
+const attachmentTypes = [
+    'image/jpeg',
+    'image/jpg',
+    'image/png',
+    'image/gif',
+    'image/webp',
+    'application/pdf',
+    'text/plain',
+    'text/markdown'
+];
+
+const attachmentUpload = multer({
+    storage,
+    fileFilter: (req, file, cb) => {
+        if (attachmentTypes.includes(file.mimetype)) {
+            cb(null, true);
+        } else {
+            cb(createError(400, 'Only images, PDF and text files can be attached'), false);
+        }
+    },
+    limits: {
+        fileSize: 10 * 1024 * 1024, // 10MB limit
+        files: 5
+    }
+});
+
+const uploadAttachments = attachmentUpload.array('files', 5);
+
+// Attachments upload middleware with error handling
+const handleAttachmentUpload = (req, res, next) => {
+    uploadAttachments(req, res, (err) => {
+        if (err) {
+            if (err instanceof multer.MulterError) {
+                if (err.code === 'LIMIT_FILE_SIZE') {
+                    return next(createError(400, 'File too large. Maximum size is 10MB'));
+                }
+                if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') {
+                    return next(createError(400, 'Upload up to 5 files in the files field'));
+                }
+            }
+            return next(err);
+        }
+
+        if (!req.files || req.files.length === 0) {
+            return next(createError(400, 'No file uploaded'));
+        }
+
+        next();
+    });
+};
+
+// Note imports (checked by extension, the mimetype of .md files varies between clients)
+const importExtensions = /\.(md|markdown|txt|zip|json)$/i;
+
+const importUpload = multer({
+    storage,
+    fileFilter: (req, file, cb) => {
+        if (importExtensions.test(file.originalname)) {
+            cb(null, true);
+        } else {
+            cb(createError(400, 'Only .md, .txt, .zip and .json files can be imported'), false);
+        }
+    },
+    // At most 100MB uploaded, the size of an import (see notes.import.js)
+    limits: {
+        fileSize: 10 * 1024 * 1024, // 10MB limit
+        files: 10
+    }
+});
+
+const uploadImport = importUpload.array('files', 10);
+
+// Import upload middleware with error handling
+const handleImportUpload = (req, res, next) => {
+    uploadImport(req, res, (err) => {
+        if (err) {
+            if (err instanceof multer.MulterError) {
+                if (err.code === 'LIMIT_FILE_SIZE') {
+                    return next(createError(400, 'File too large. Maximum size is 10MB'));
+                }
+                if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') {
+                    return next(createError(400, 'Upload up to 10 files in the files field'));
+                }
+            }
+            return next(err);
+        }
+
+        if (!req.files || req.files.length === 0) {
+            return next(createError(400, 'No file uploaded'));
+        }
+
         next();
     });
 };
 
 module.exports = {
-    handleUpload
+    handleUpload,
+    handleAttachmentUpload,
+    handleImportUpload
 };
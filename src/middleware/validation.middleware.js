@@ -1,5 +1,6 @@
 const Joi = require('joi');
 const createError = require('http-errors');
+const { SUPPORTED_LOCALES } = require('../email/templates');
 
 /**
  * Generic validation middleware factory
@@ -62,6 +63,61 @@ const formatJoiError = (joiError, location) => {
 
 // Validation Schemas
 
+/**
+ * Reusable rule for note tags (case-insensitive unique)
+ */
+const tagsRule = Joi.array()
+    .items(
+        Joi.string()
+            .trim()
+            .min(1)
+            .max(50)
+            .pattern(/^[^,]+$/)
+            .messages({
+                'string.min': 'Tag cannot be empty',
+                'string.max': 'Tag cannot exceed 50 characters',
+                'string.pattern.base': 'Tag cannot contain commas'
+            })
+    )
+    .max(20)
+    .unique((a, b) => a.trim().toLowerCase() === b.trim().toLowerCase())
+    .messages({
+        'array.max': 'A note cannot have more than 20 tags',
+        'array.unique': 'Tags must be unique'
+    });
+
+/**
+ * Reusable rule for the note content format
+ */
+const formatRule = Joi.string()
+    .valid('plain', 'markdown')
+    .messages({
+        'any.only': 'Format must be either plain or markdown'
+    });
+
+/**
+ * Reusable rule for a notebook reference (null files the note as unfiled)
+ */
+const notebookIdRule = Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .allow(null)
+    .messages({
+        'string.pattern.base': 'Invalid notebook ID format'
+    });
+
+/**
+ * Reusable rule for notebook names
+ */
+const notebookNameRule = Joi.string()
+    .min(1)
+    .max(100)
+    .trim()
+    .messages({
+        'string.min': 'Notebook name cannot be empty',
+        'string.max': 'Notebook name cannot exceed 100 characters',
+        'any.required': 'Notebook name is required'
+    });
+
 /**
  * Validation schema for user registration
  */
@@ -80,6 +136,12 @@ const registerSchema = {
             .messages({
                 'string.min': 'Password must be at least 6 characters long',
                 'any.required': 'Password is required'
+            }),
+        locale: Joi.string()
+            .valid(...SUPPORTED_LOCALES)
+            .optional()
+            .messages({
+                'any.only': `Locale must be one of ${SUPPORTED_LOCALES.join(', ')}`
             })
     })
 };
@@ -104,6 +166,76 @@ const loginSchema = {
     })
 };
 
+/**
+ * Validation schema for email verification
+ */
+const verifyEmailSchema = {
+    body: Joi.object({
+        email: Joi.string()
+            .email()
+            .required()
+            .messages({
+                'string.email': 'Please provide a valid email address',
+                'any.required': 'Email is required'
+            }),
+        code: Joi.string()
+            .length(6)
+            .pattern(/^\d{6}$/)
+            .required()
+            .messages({
+                'string.length': 'Verification code must be exactly 6 digits',
+                'string.pattern.base': 'Verification code must contain only numbers',
+                'any.required': 'Verification code is required'
+            })
+    })
+};
+
+/**
+ * Validation schema for refreshing tokens
+ */
+const refreshTokenSchema = {
+    body: Joi.object({
+        refreshToken: Joi.string()
+            .required()
+            .messages({
+                'any.required': 'Refresh token is required'
+            })
+    })
+};
+
+/**
+ * Validation schema for logout
+ */
+const logoutSchema = {
+    body: Joi.object({
+        refreshToken: Joi.string()
+            .optional()
+    })
+};
+
+/**
+ * Validation schema for downloading a profile picture
+ */
+const profilePicSchema = {
+    params: Joi.object({
+        userId: Joi.string()
+            .pattern(/^[0-9a-fA-F]{24}$/)
+            .required()
+            .messages({
+                'string.pattern.base': 'Invalid user ID format',
+                'any.required': 'User ID is required'
+            })
+    }),
+    query: Joi.object({
+        size: Joi.string()
+            .valid('large', 'medium', 'small', 'thumb')
+            .optional()
+            .messages({
+                'any.only': 'Size must be one of large, medium, small or thumb'
+            })
+    })
+};
+
 /**
  * Validation schema for forget password
  */
@@ -149,6 +281,141 @@ const resetPasswordSchema = {
     })
 };
 
+/**
+ * Validation schema for changing the password
+ */
+const changePasswordSchema = {
+    body: Joi.object({
+        currentPassword: Joi.string()
+            .required()
+            .messages({
+                'any.required': 'Current password is required'
+            }),
+        newPassword: Joi.string()
+            .min(6)
+            .required()
+            .messages({
+                'string.min': 'Password must be at least 6 characters long',
+                'any.required': 'New password is required'
+            })
+    })
+};
+
+/**
+ * Validation schema for requesting an email change
+ */
+const changeEmailSchema = {
+    body: Joi.object({
+        newEmail: Joi.string()
+            .email()
+            .required()
+            .messages({
+                'string.email': 'Please provide a valid email address',
+                'any.required': 'New email is required'
+            }),
+        password: Joi.string()
+            .required()
+            .messages({
+                'any.required': 'Password is required'
+            })
+    })
+};
+
+/**
+ * Validation schema for confirming an email change
+ */
+const confirmEmailChangeSchema = {
+    body: Joi.object({
+        code: Joi.string()
+            .length(6)
+            .pattern(/^\d{6}$/)
+            .required()
+            .messages({
+                'string.length': 'Confirmation code must be exactly 6 digits',
+                'string.pattern.base': 'Confirmation code must contain only numbers',
+                'any.required': 'Confirmation code is required'
+            })
+    })
+};
+
+/**
+ * Validation schema for deleting the account
+ */
+const deleteAccountSchema = {
+    body: Joi.object({
+        password: Joi.string()
+            .required()
+            .messages({
+                'any.required': 'Password is required to delete your account'
+            })
+    })
+};
+
+/**
+ * Validation schema for updating profile settings
+ */
+const updateProfileSchema = {
+    body: Joi.object({
+        locale: Joi.string()
+            .valid(...SUPPORTED_LOCALES)
+            .required()
+            .messages({
+                'any.only': `Locale must be one of ${SUPPORTED_LOCALES.join(', ')}`,
+                'any.required': 'Locale is required'
+            })
+    })
+};
+
+/**
+ * Validation schema for confirming 2FA setup with a code from the authenticator app
+ */
+const enableTwoFactorSchema = {
+    body: Joi.object({
+        code: Joi.string()
+            .trim()
+            .pattern(/^\d{6}$/)
+            .required()
+            .messages({
+                'string.pattern.base': 'Two-factor code must be exactly 6 digits',
+                'any.required': 'Two-factor code is required'
+            })
+    })
+};
+
+/**
+ * Validation schema for the second login step (TOTP or backup code)
+ */
+const loginTwoFactorSchema = {
+    body: Joi.object({
+        twoFactorToken: Joi.string()
+            .required()
+            .messages({
+                'any.required': 'Two-factor token is required'
+            }),
+        code: Joi.string()
+            .trim()
+            .pattern(/^(\d{6}|[0-9a-fA-F]{5}-?[0-9a-fA-F]{5})$/)
+            .required()
+            .messages({
+                'string.pattern.base': 'Code must be a 6-digit code or a backup code',
+                'any.required': 'Two-factor code is required'
+            })
+    })
+};
+
+/**
+ * Validation schema for actions that require the password (disable 2FA, new backup codes)
+ */
+const twoFactorPasswordSchema = {
+    body: Joi.object({
+        password: Joi.string()
+            .required()
+            .messages({
+                'any.required': 'Password is required'
+            })
+    })
+};
+
 /**
  * Validation schema for creating notes
  */
@@ -168,7 +435,10 @@ const createNoteSchema = {
             .required()
             .messages({
                 'any.required': 'Content is required'
-            })
+            }),
+        format: formatRule.optional(),
+        tags: tagsRule.optional(),
+        notebookId: notebookIdRule.optional()
     })
 };
 
@@ -187,7 +457,10 @@ const updateNoteSchema = {
                 'string.max': 'Title cannot exceed 200 characters'
             }),
         content: Joi.string()
-            .optional()
+            .optional(),
+        format: formatRule.optional(),
+        tags: tagsRule.optional(),
+        notebookId: notebookIdRule.optional()
     }).min(1), // At least one field must be provided
     params: Joi.object({
         id: Joi.string()
@@ -200,6 +473,61 @@ const updateNoteSchema = {
     })
 };
 
+/**
+ * Validation schema for getting a single note
+ */
+const getNoteSchema = {
+    params: Joi.object({
+        id: Joi.string()
+            .pattern(/^[0-9a-fA-F]{24}$/)
+            .required()
+            .messages({
+                'string.pattern.base': 'Invalid note ID format',
+                'any.required': 'Note ID is required'
+            })
+    }),
+    query: Joi.object({
+        html: Joi.boolean()
+            .sensitive()
+            .optional()
+            .messages({
+                'boolean.base': 'HTML must be true or false'
+            }),
+        related: Joi.boolean()
+            .sensitive()
+            .optional()
+            .messages({
+                'boolean.base': 'Related must be true or false'
+            })
+    })
+};
+
+/**
+ * Validation schema for getting related notes
+ */
+const relatedNotesSchema = {
+    params: Joi.object({
+        id: Joi.string()
+            .pattern(/^[0-9a-fA-F]{24}$/)
+            .required()
+            .messages({
+                'string.pattern.base': 'Invalid note ID format',
+                'any.required': 'Note ID is required'
+            })
+    }),
+    query: Joi.object({
+        limit: Joi.number()
+            .integer()
+            .min(1)
+            .max(20)
+            .optional()
+            .messages({
+                'number.min': 'Limit must be at least 1',
+                'number.max': 'Limit cannot exceed 20'
+            })
+    })
+};
+
 /**
  * Validation schema for getting notes with GraphQL filters
  */
@@ -241,8 +569,337 @@ const searchNotesSchema = {
                 'number.min': 'Limit must be at least 1',
                 'number.max': 'Limit cannot exceed 100'
             }),
+        first: Joi.number()
+            .integer()
+            .min(1)
+            .max(100)
+            .optional()
+            .messages({
+                'number.min': 'First must be at least 1',
+                'number.max': 'First cannot exceed 100'
+            }),
+        after: Joi.string()
+            .optional(),
         search: Joi.string()
+            .optional(),
+        shared: Joi.boolean()
+            .sensitive()
+            .optional()
+            .messages({
+                'boolean.base': 'Shared must be true or false'
+            }),
+        tags: Joi.string()
+            .optional()
+            .messages({
+                'string.base': 'Tags must be a comma-separated list'
+            }),
+        tagMode: Joi.string()
+            .valid('any', 'all')
+            .optional()
+            .messages({
+                'any.only': 'Tag mode must be either any or all'
+            }),
+        notebookId: Joi.string()
+            .pattern(/^([0-9a-fA-F]{24}|none)$/)
+            .optional()
+            .messages({
+                'string.pattern.base': 'Notebook ID must be a valid ID or none'
+            }),
+        includeSubNotebooks: Joi.boolean()
+            .sensitive()
+            .optional()
+            .messages({
+                'boolean.base': 'Include sub-notebooks must be true or false'
+            }),
+        pinned: Joi.boolean()
+            .sensitive()
+            .optional()
+            .messages({
+                'boolean.base': 'Pinned must be true or false'
+            }),
+        favorite: Joi.boolean()
+            .sensitive()
+            .optional()
+            .messages({
+                'boolean.base': 'Favorite must be true or false'
+            }),
+        archived: Joi.boolean()
+            .sensitive()
+            .optional()
+            .messages({
+                'boolean.base': 'Archived must be true or false'
+            }),
+        includeArchived: Joi.boolean()
+            .sensitive()
+            .optional()
+            .messages({
+                'boolean.base': 'Include archived must be true or false'
+            }),
+        sort: Joi.string()
+            .valid('created', 'updated', 'title', 'manual')
+            .optional()
+            .messages({
+                'any.only': 'Sort must be one of created, updated, title or manual'
+            })
+    })
+        .oxor('page', 'first')
+        .oxor('page', 'after')
+        .messages({
+            'object.oxor': 'Use either page or cursor (first/after) pagination, not both'
+        })
+};
+
+/**
+ * Validation schema for exporting the account
+ */
+const exportNotesSchema = {
+    query: Joi.object({
+        format: Joi.string()
+            .valid('json', 'zip')
+            .optional()
+            .messages({
+                'any.only': 'Export format must be either json or zip'
+            })
+    })
+};
+
+/**
+ * Validation schema for importing notes
+ */
+const importNotesSchema = {
+    query: Joi.object({
+        dryRun: Joi.boolean()
+            .sensitive()
+            .optional()
+            .messages({
+                'boolean.base': 'Dry run must be true or false'
+            })
+    })
+};
+
+/**
+ * Validation schema for moving notes to a notebook
+ */
+const moveNotesSchema = {
+    body: Joi.object({
+        noteIds: Joi.array()
+            .items(
+                Joi.string()
+                    .pattern(/^[0-9a-fA-F]{24}$/)
+                    .messages({
+                        'string.pattern.base': 'Invalid note ID format'
+                    })
+            )
+            .min(1)
+            .max(100)
+            .unique()
+            .required()
+            .messages({
+                'array.min': 'At least one note ID is required',
+                'array.max': 'Cannot move more than 100 notes at once',
+                'array.unique': 'Note IDs must be unique',
+                'any.required': 'Note IDs are required'
+            }),
+        notebookId: notebookIdRule
+            .required()
+            .messages({
+                'any.required': 'Notebook ID is required (use null to unfile)'
+            })
+    })
+};
+
+/**
+ * Validation schema for setting the pinned, archived and favorite flags of a note
+ */
+const noteStateSchema = {
+    params: Joi.object({
+        id: Joi.string()
+            .pattern(/^[0-9a-fA-F]{24}$/)
+            .required()
+            .messages({
+                'string.pattern.base': 'Invalid note ID format',
+                'any.required': 'Note ID is required'
+            })
+    }),
+    body: Joi.object({
+        pinned: Joi.boolean()
+            .strict()
+            .messages({
+                'boolean.base': 'Pinned must be true or false'
+            }),
+        archived: Joi.boolean()
+            .strict()
+            .messages({
+                'boolean.base': 'Archived must be true or false'
+            }),
+        favorite: Joi.boolean()
+            .strict()
+            .messages({
+                'boolean.base': 'Favorite must be true or false'
+            })
+    })
+        .min(1)
+        .messages({
+            'object.min': 'At least one of pinned, archived or favorite is required'
+        })
+};
+
+/**
+ * Validation schema for placing notes in the manual order
+ */
+const reorderNotesSchema = {
+    body: Joi.object({
+        noteIds: Joi.array()
+            .items(
+                Joi.string()
+                    .pattern(/^[0-9a-fA-F]{24}$/)
+                    .messages({
+                        'string.pattern.base': 'Invalid note ID format'
+                    })
+            )
+            .min(1)
+            .max(500)
+            .unique()
+            .required()
+            .messages({
+                'array.min': 'At least one note ID is required',
+                'array.max': 'Cannot order more than 500 notes at once',
+                'array.unique': 'Note IDs must be unique',
+                'any.required': 'Note IDs are required'
+            }),
+        afterId: Joi.string()
+            .pattern(/^[0-9a-fA-F]{24}$/)
+            .allow(null)
+            .optional()
+            .messages({
+                'string.pattern.base': 'Invalid note ID format'
+            })
+    })
+};
+
+/**
+ * Validation schema for sharing a note
+ */
+const shareNoteSchema = {
+    body: Joi.object({
+        email: Joi.string()
+            .email()
+            .required()
+            .messages({
+                'string.email': 'Please provide a valid email address',
+                'any.required': 'Email is required'
+            }),
+        permission: Joi.string()
+            .valid('read', 'edit')
+            .optional()
+            .messages({
+                'any.only': 'Permission must be either read or edit'
+            })
+    }),
+    params: Joi.object({
+        id: Joi.string()
+            .pattern(/^[0-9a-fA-F]{24}$/)
+            .required()
+            .messages({
+                'string.pattern.base': 'Invalid note ID format',
+                'any.required': 'Note ID is required'
+            })
+    })
+};
+
+/**
+ * Validation schema for removing a share
+ */
+const removeShareSchema = {
+    params: Joi.object({
+        id: Joi.string()
+            .pattern(/^[0-9a-fA-F]{24}$/)
+            .required()
+            .messages({
+                'string.pattern.base': 'Invalid note ID format',
+                'any.required': 'Note ID is required'
+            }),
+        userId: Joi.string()
+            .pattern(/^[0-9a-fA-F]{24}$/)
+            .required()
+            .messages({
+                'string.pattern.base': 'Invalid user ID format',
+                'any.required': 'User ID is required'
+            })
+    })
+};
+
+/**
+ * Validation schema for note revision parameters
+ */
+const revisionParamSchema = {
+    params: Joi.object({
+        id: Joi.string()
+            .pattern(/^[0-9a-fA-F]{24}$/)
+            .required()
+            .messages({
+                'string.pattern.base': 'Invalid note ID format',
+                'any.required': 'Note ID is required'
+            }),
+        revisionId: Joi.string()
+            .pattern(/^[0-9a-fA-F]{24}$/)
+            .required()
+            .messages({
+                'string.pattern.base': 'Invalid revision ID format',
+                'any.required': 'Revision ID is required'
+            })
+    })
+};
+
+/**
+ * Validation schema for diffing note revisions
+ */
+const revisionDiffSchema = {
+    params: Joi.object({
+        id: Joi.string()
+            .pattern(/^[0-9a-fA-F]{24}$/)
+            .required()
+            .messages({
+                'string.pattern.base': 'Invalid note ID format',
+                'any.required': 'Note ID is required'
+            })
+    }),
+    query: Joi.object({
+        from: Joi.string()
+            .pattern(/^([0-9a-fA-F]{24}|current)$/)
+            .required()
+            .messages({
+                'string.pattern.base': 'From must be a revision ID or current',
+                'any.required': 'From revision is required'
+            }),
+        to: Joi.string()
+            .pattern(/^([0-9a-fA-F]{24}|current)$/)
             .optional()
+            .messages({
+                'string.pattern.base': 'To must be a revision ID or current'
+            })
+    })
+};
+
+/**
+ * Validation schema for note attachment parameters
+ */
+const attachmentParamSchema = {
+    params: Joi.object({
+        id: Joi.string()
+            .pattern(/^[0-9a-fA-F]{24}$/)
+            .required()
+            .messages({
+                'string.pattern.base': 'Invalid note ID format',
+                'any.required': 'Note ID is required'
+            }),
+        attachmentId: Joi.string()
+            .pattern(/^[0-9a-fA-F]{24}$/)
+            .required()
+            .messages({
+                'string.pattern.base': 'Invalid attachment ID format',
+                'any.required': 'Attachment ID is required'
+            })
     })
 };
 
@@ -261,6 +918,128 @@ const objectIdParamSchema = {
     })
 };
 
+/**
+ * Validation schema for setting the reminder of a note
+ */
+const setReminderSchema = {
+    params: Joi.object({
+        id: Joi.string()
+            .pattern(/^[0-9a-fA-F]{24}$/)
+            .required()
+            .messages({
+                'string.pattern.base': 'Invalid note ID format',
+                'any.required': 'Note ID is required'
+            })
+    }),
+    body: Joi.object({
+        remindAt: Joi.date()
+            .iso()
+            .greater('now')
+            .required()
+            .messages({
+                'date.format': 'Reminder time must be an ISO 8601 date',
+                'date.greater': 'Reminder time must be in the future',
+                'any.required': 'Reminder time is required'
+            })
+    })
+};
+
+/**
+ * Validation schema for listing reminders
+ */
+const listRemindersSchema = {
+    query: Joi.object({
+        status: Joi.string()
+            .valid('upcoming', 'sent', 'failed', 'dismissed', 'cancelled', 'all')
+            .optional()
+            .messages({
+                'any.only': 'Status must be one of upcoming, sent, failed, dismissed, cancelled or all'
+            }),
+        limit: Joi.number()
+            .integer()
+            .min(1)
+            .max(100)
+            .optional()
+            .messages({
+                'number.min': 'Limit must be at least 1',
+                'number.max': 'Limit cannot exceed 100'
+            })
+    })
+};
+
+/**
+ * Validation schema for snoozing a reminder
+ */
+const snoozeReminderSchema = {
+    params: Joi.object({
+        id: Joi.string()
+            .pattern(/^[0-9a-fA-F]{24}$/)
+            .required()
+            .messages({
+                'string.pattern.base': 'Invalid reminder ID format',
+                'any.required': 'Reminder ID is required'
+            })
+    }),
+    body: Joi.object({
+        minutes: Joi.number()
+            .integer()
+            .min(1)
+            .max(60 * 24 * 30)
+            .messages({
+                'number.min': 'Snooze for at least 1 minute',
+                'number.max': 'Snooze for at most 30 days'
+            }),
+        until: Joi.date()
+            .iso()
+            .greater('now')
+            .messages({
+                'date.format': 'Snooze time must be an ISO 8601 date',
+                'date.greater': 'Snooze time must be in the future'
+            })
+    })
+        .xor('minutes', 'until')
+        .messages({
+            'object.missing': 'Provide either minutes or until',
+            'object.xor': 'Provide either minutes or until, not both'
+        })
+};
+
+/**
+ * Validation schema for creating notebooks
+ */
+const createNotebookSchema = {
+    body: Joi.object({
+        name: notebookNameRule.required(),
+        parentId: notebookIdRule.optional()
+    })
+};
+
+/**
+ * Validation schema for renaming or moving notebooks
+ */
+const updateNotebookSchema = {
+    body: Joi.object({
+        name: notebookNameRule.optional(),
+        parentId: notebookIdRule.optional()
+    }).min(1), // At least one field must be provided
+    params: objectIdParamSchema.params
+};
+
+/**
+ * Validation schema for deleting notebooks
+ */
+const deleteNotebookSchema = {
+    params: objectIdParamSchema.params,
+    query: Joi.object({
+        mode: Joi.string()
+            .valid('move', 'cascade')
+            .optional()
+            .messages({
+                'any.only': 'Mode must be either move or cascade'
+            })
+    })
+};
+
 /**
  * Sanitize input to prevent XSS attacks
  * @param {Object} req - Express request object
@@ -294,13 +1073,44 @@ const sanitizeInput = (req, res, next) => {
 module.exports = {
     validate,
     sanitizeInput,
+    formatJoiError,
     // Schema exports
     registerSchema,
     loginSchema,
+    verifyEmailSchema,
+    refreshTokenSchema,
+    logoutSchema,
+    profilePicSchema,
     forgetPasswordSchema,
     resetPasswordSchema,
+    changePasswordSchema,
+    changeEmailSchema,
+    confirmEmailChangeSchema,
+    deleteAccountSchema,
+    updateProfileSchema,
+    enableTwoFactorSchema,
+    loginTwoFactorSchema,
+    twoFactorPasswordSchema,
     createNoteSchema,
     updateNoteSchema,
+    getNoteSchema,
+    relatedNotesSchema,
     searchNotesSchema,
-    objectIdParamSchema
+    exportNotesSchema,
+    importNotesSchema,
+    moveNotesSchema,
+    noteStateSchema,
+    reorderNotesSchema,
+    shareNoteSchema,
+    removeShareSchema,
+    revisionParamSchema,
+    revisionDiffSchema,
+    attachmentParamSchema,
+    objectIdParamSchema,
+    setReminderSchema,
+    listRemindersSchema,
+    snoozeReminderSchema,
+    createNotebookSchema,
+    updateNotebookSchema,
+    deleteNotebookSchema
 };
\ No newline at end of file
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const attachmentSchema = new mongoose.Schema({
+    noteId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Note',
+        required: true
+    },
+    uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    filename: {
+        type: String,
+        required: true
+    },
+    mimeType: {
+        type: String,
+        required: true
+    },
+    size: {
+        type: Number,
+        required: true
+    },
+    // Key of the file in the storage backend
+    storageKey: {
+        type: String,
+        required: true
+    },
+    // Mirrors the note's purgeAt while it is in the trash.
+    // No TTL index: files must be removed from storage first (see purgeExpiredAttachments)
+    purgeAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// Index for listing a note's attachments
+attachmentSchema.index({ noteId: 1, createdAt: 1 });
+
+// Index for the expired attachments cleanup
+attachmentSchema.index({ purgeAt: 1 });
+
+module.exports = mongoose.model('Attachment', attachmentSchema);
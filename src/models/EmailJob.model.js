@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// An email waiting in the send queue (see src/email/mailer.js)
+// Sent emails are removed; their data may hold one-time codes, so it is stored encrypted
+const emailJobSchema = new mongoose.Schema({
+    to: {
+        type: String,
+        required: true
+    },
+    template: {
+        type: String,
+        required: true
+    },
+    locale: {
+        type: String,
+        default: null
+    },
+    // Encrypted template data (see src/email/jobData.js), removed once the email is given up on
+    data: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    // queued: waiting to be sent (or retried), sending: claimed by the worker,
+    // failed: gave up after retries (kept until expiresAt for inspection)
+    status: {
+        type: String,
+        enum: ['queued', 'sending', 'failed'],
+        default: 'queued'
+    },
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    // While sending: when the claim expires, in case the process stopped mid-send
+    lockedUntil: {
+        type: Date,
+        default: null
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    lastError: {
+        type: String,
+        default: null
+    },
+    // An email that is still unsent by then is dropped (e.g. its code expired)
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// Index for the worker: emails due for an attempt
+emailJobSchema.index({ status: 1, nextAttemptAt: 1 });
+
+// TTL index to automatically remove expired emails
+emailJobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('EmailJob', emailJobSchema);
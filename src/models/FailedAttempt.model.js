@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+const failedAttemptSchema = new mongoose.Schema({
+    // What is being guarded and for whom, e.g. "login:account:user@example.com"
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    failures: {
+        type: Number,
+        default: 0
+    },
+    lockedUntil: {
+        type: Date,
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// Forget failures once there were none for a while
+failedAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('FailedAttempt', failedAttemptSchema);
\ No newline at end of file
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { CONTENT_FORMATS, toPlainText } = require('../utils/markdown');
+const { analyzeNote } = require('../utils/summarize');
+const { buildTermVector } = require('../utils/similarity');
 
 const noteSchema = new mongoose.Schema({
     title: {
@@ -9,23 +12,186 @@ const noteSchema = new mongoose.Schema({
         type: String,
         required: true
     },
+    // How content is written: plain text or Markdown
+    format: {
+        type: String,
+        enum: CONTENT_FORMATS,
+        default: 'plain'
+    },
+    // Content without Markdown syntax, used for search and snippets
+    plainText: {
+        type: String,
+        default: ''
+    },
+    tags: [{
+        type: String,
+        trim: true,
+        lowercase: true
+    }],
+    // Computed from title and content (see utils/summarize)
+    summary: {
+        text: { type: String, default: '' },
+        keywords: { type: [String], default: [] },
+        suggestedTags: { type: [String], default: [] },
+        version: { type: Number, default: 0 },
+        generatedAt: { type: Date, default: null }
+    },
+    // Term counts for finding related notes (see utils/similarity)
+    terms: {
+        type: [{ _id: false, term: String, count: Number }],
+        default: [],
+        select: false
+    },
     ownerId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
         required: true
+    },
+    // Notebook the note is filed in, null for unfiled notes
+    notebookId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Notebook',
+        default: null
+    },
+    shares: [{
+        _id: false,
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        permission: {
+            type: String,
+            enum: ['read', 'edit'],
+            default: 'read'
+        },
+        sharedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    // The owner's organization of their notes, like notebookId
+    // Pinned notes are listed first, archived notes are hidden by default
+    pinned: {
+        type: Boolean,
+        default: false
+    },
+    archived: {
+        type: Boolean,
+        default: false
+    },
+    favorite: {
+        type: Boolean,
+        default: false
+    },
+    // Place in the manual sort order; 0 for notes that were never placed
+    position: {
+        type: Number,
+        default: 0
+    },
+    // Trash bin: set when the note is deleted, null while active
+    deletedAt: {
+        type: Date,
+        default: null
+    },
+    // When a trashed note is permanently removed by MongoDB
+    purgeAt: {
+        type: Date,
+        default: null
     }
 }, {
     timestamps: true
 });
 
+// Permission levels, higher includes lower
+const PERMISSION_RANK = { read: 1, edit: 2, owner: 3 };
+
+/**
+ * Build a query filter matching notes the user can access
+ * @param {Object} userId - User ID
+ * @param {string} permission - Minimum permission: read, edit or owner
+ * @returns {Object} MongoDB filter
+ */
+noteSchema.statics.accessFilter = function (userId, permission = 'read') {
+    if (permission === 'owner') {
+        return { ownerId: userId };
+    }
+
+    const shareMatch = permission === 'edit'
+        ? { shares: { $elemMatch: { userId, permission: 'edit' } } }
+        : { 'shares.userId': userId };
+
+    return { $or: [{ ownerId: userId }, shareMatch] };
+};
+
+/**
+ * Get the user's permission on a note (works with documents and lean objects)
+ * @param {Object} note - Note, ownerId may be populated
+ * @param {Object} userId - User ID
+ * @returns {string|null} owner, edit, read or null when no access
+ */
+noteSchema.statics.getPermission = function (note, userId) {
+    const ownerId = note.ownerId && note.ownerId._id ? note.ownerId._id : note.ownerId;
+    if (ownerId && ownerId.toString() === userId.toString()) {
+        return 'owner';
+    }
+
+    const share = (note.shares || []).find(s => s.userId.toString() === userId.toString());
+    return share ? share.permission : null;
+};
+
+/**
+ * Check whether a permission satisfies a required level
+ * @param {string} permission - Granted permission
+ * @param {string} required - Required permission
+ * @returns {boolean}
+ */
+noteSchema.statics.hasPermission = function (permission, required) {
+    return !!permission && PERMISSION_RANK[permission] >= PERMISSION_RANK[required];
+};
+
+// Keep plainText, the summary and the term counts in sync with content on save
+// (updates through findByIdAndUpdate set them themselves, see notes.service)
+noteSchema.pre('save', function (next) {
+    if (this.isModified('content') || this.isModified('format')) {
+        this.plainText = toPlainText(this.content, this.format);
+    }
+    if (this.isNew || this.isModified('title') || this.isModified('plainText') || this.isModified('tags')) {
+        this.summary = analyzeNote(this);
+        this.terms = buildTermVector(this);
+    }
+    next();
+});
+
 // Index for querying notes by owner
 noteSchema.index({ ownerId: 1 });
 
-// Text index for searching notes by title
-noteSchema.index({ title: 'text' });
+// Index for listing the notes of a notebook
+noteSchema.index({ ownerId: 1, notebookId: 1 });
+
+// Multikey index for filtering notes by tag
+noteSchema.index({ ownerId: 1, tags: 1 });
+
+// Index for listing a user's active or trashed notes
+noteSchema.index({ ownerId: 1, deletedAt: 1 });
+
+// Auto-delete trashed notes once the retention period is over
+noteSchema.index({ purgeAt: 1 }, { expireAfterSeconds: 0 });
+
+// Index for finding notes shared with a user
+noteSchema.index({ 'shares.userId': 1 });
+
+// Weighted text index for searching notes by title and content
+// Content is indexed as plain text so Markdown syntax doesn't match searches
+// (MongoDB allows one text index per collection: older ones are dropped on startup, see migrateTextIndex)
+noteSchema.index(
+    { title: 'text', plainText: 'text' },
+    { name: 'note_plain_text_search', weights: { title: 10, plainText: 1 } }
+);
 
-// Compound index for efficient filtering by owner and creation date
-noteSchema.index({ ownerId: 1, createdAt: -1 });
+// Compound index for the default listing: pinned first, then newest first
+// (_id breaks ties for cursor pagination)
+noteSchema.index({ ownerId: 1, pinned: -1, createdAt: -1, _id: -1 });
 
 // Index for date range queries
 noteSchema.index({ createdAt: -1 });
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Snapshot of a note as it was before an update or restore
+const noteRevisionSchema = new mongoose.Schema({
+    noteId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Note',
+        required: true
+    },
+    title: {
+        type: String,
+        required: true
+    },
+    content: {
+        type: String,
+        required: true
+    },
+    format: {
+        type: String,
+        default: 'plain'
+    },
+    tags: [{
+        type: String
+    }],
+    // User whose update replaced this version
+    editedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Mirrors the note's purgeAt while it is in the trash
+    purgeAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for listing a note's history, newest first
+noteRevisionSchema.index({ noteId: 1, createdAt: -1 });
+
+// Auto-delete history together with its trashed note
+noteRevisionSchema.index({ purgeAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('NoteRevision', noteRevisionSchema);
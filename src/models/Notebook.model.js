@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const notebookSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    ownerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Direct parent, null for top-level notebooks
+    parentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Notebook',
+        default: null
+    },
+    // All ancestors from the root down to the parent (materialized path)
+    ancestors: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Notebook'
+    }]
+}, {
+    timestamps: true
+});
+
+// Maximum nesting depth of notebooks
+notebookSchema.statics.MAX_DEPTH = 10;
+
+// Index for listing a user's notebooks level by level
+notebookSchema.index({ ownerId: 1, parentId: 1, name: 1 });
+
+// Index for finding all descendants of a notebook
+notebookSchema.index({ ancestors: 1 });
+
+module.exports = mongoose.model('Notebook', notebookSchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// scheduled: waiting to be sent (or retried), sending: claimed by the scheduler,
+// sent: delivered, failed: gave up after retries, dismissed: by the user,
+// cancelled: the note was deleted or is no longer shared with the user
+const REMINDER_STATUSES = ['scheduled', 'sending', 'sent', 'failed', 'dismissed', 'cancelled'];
+
+const reminderSchema = new mongoose.Schema({
+    noteId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Note',
+        required: true
+    },
+    // User who gets the reminder (the owner or a user the note is shared with)
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    remindAt: {
+        type: Date,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: REMINDER_STATUSES,
+        default: 'scheduled'
+    },
+    // When the scheduler should (re)try sending: remindAt, then later after failures
+    nextAttemptAt: {
+        type: Date,
+        required: true
+    },
+    // While sending: when the claim expires, in case the process stopped mid-send
+    lockedUntil: {
+        type: Date,
+        default: null
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    lastError: {
+        type: String,
+        default: null
+    },
+    sentAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+reminderSchema.statics.STATUSES = REMINDER_STATUSES;
+
+// Reminders that are active for a note and user (one at a time, see setReminder)
+reminderSchema.statics.ACTIVE_STATUSES = ['scheduled', 'sending'];
+
+// Index for the scheduler: due reminders
+reminderSchema.index({ status: 1, nextAttemptAt: 1 });
+
+// Index for listing a user's reminders
+reminderSchema.index({ userId: 1, status: 1, remindAt: 1 });
+
+// Index for finding the reminders of a note
+reminderSchema.index({ noteId: 1, userId: 1 });
+
+module.exports = mongoose.model('Reminder', reminderSchema);
\ No newline at end of file
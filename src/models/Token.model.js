@@ -12,12 +12,27 @@ const tokenSchema = new mongoose.Schema({
     },
     type: {
         type: String,
-        enum: ['verification', 'refresh', 'reset'],
+        enum: ['verification', 'refresh', 'reset', 'email-change', 'two-factor'],
         required: true
     },
     expiresAt: {
         type: Date,
         required: true
+    },
+    // Refresh tokens: all tokens rotated from the same login share a family
+    family: {
+        type: String,
+        default: null
+    },
+    // Refresh tokens: set once the token has been exchanged (rotation)
+    usedAt: {
+        type: Date,
+        default: null
+    },
+    // One-time codes: number of times the code was checked
+    attempts: {
+        type: Number,
+        default: 0
     }
 }, {
     timestamps: true
@@ -26,6 +41,7 @@ const tokenSchema = new mongoose.Schema({
 // Index for efficient token lookup
 tokenSchema.index({ token: 1, type: 1 });
 tokenSchema.index({ userId: 1 });
+tokenSchema.index({ family: 1 });
 
 // Auto-delete expired tokens
 tokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
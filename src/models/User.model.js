@@ -11,9 +11,63 @@ const userSchema = new mongoose.Schema({
         type: String,
         required: true
     },
+    isVerified: {
+        type: Boolean,
+        default: false
+    },
     profilePicture: {
         type: String,
         default: null
+    },
+    // Language of the user's emails (see src/email/templates)
+    locale: {
+        type: String,
+        default: 'en'
+    },
+    // New address waiting for confirmation (see change-email)
+    pendingEmail: {
+        type: String,
+        lowercase: true,
+        default: null
+    },
+    // TOTP two-factor authentication; secrets and backup codes are never selected by default
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        secret: {
+            type: String,
+            default: null,
+            select: false
+        },
+        // Secret waiting for the first code (see 2fa/setup)
+        pendingSecret: {
+            type: String,
+            default: null,
+            select: false
+        },
+        // SHA-256 hashes of the unused backup codes
+        backupCodes: {
+            type: [String],
+            default: [],
+            select: false
+        },
+        // Last accepted time step, so a code can't be used twice
+        lastUsedStep: {
+            type: Number,
+            default: 0,
+            select: false
+        },
+        enabledAt: {
+            type: Date,
+            default: null
+        }
+    },
+    // Tokens issued at or before this moment are rejected ("log out everywhere")
+    tokensRevokedAt: {
+        type: Date,
+        default: null
     }
 }, {
     timestamps: true
@@ -1,12 +1,178 @@
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const path = require('path');
 const createError = require('http-errors');
 
 const User = require('../../models/User.model');
 const Token = require('../../models/Token.model');
+const RevokedToken = require('../../models/RevokedToken.model');
+const Note = require('../../models/Note.model');
+const Notebook = require('../../models/Notebook.model');
+const Reminder = require('../../models/Reminder.model');
+const { purgeNotes } = require('../notes/notes.service');
+const { attemptKeys, assertNotLocked, recordFailure, clearFailures } = require('./auth.lockout');
+const { verifySecondFactor, countBackupCodes } = require('./auth.twoFactor');
+const { storage } = require('../../storage/storage');
+const { AVATAR_SIZES, createAvatarVariants } = require('../../utils/image');
 const jwtConfig = require('../../config/jwt.config');
-const { sendOTPEmail, verifyEmailConfig } = require('../../config/email.config');
+const { queueEmail } = require('../../email/mailer');
+const { SUPPORTED_LOCALES, DEFAULT_LOCALE } = require('../../email/templates');
+
+const VERIFICATION_CODE_TTL_MS = 30 * 60 * 1000; // 30 minutes
+const VERIFICATION_RESEND_COOLDOWN_MS = 60 * 1000; // 1 minute
+const RESET_CODE_TTL_MS = 10 * 60 * 1000; // 10 minutes
+const MAX_CODE_ATTEMPTS = 5; // Wrong guesses before a one-time code is invalidated
+const TWO_FACTOR_LOGIN_TTL_MS = 5 * 60 * 1000; // 5 minutes to enter the second factor
+
+/**
+ * Hash an opaque token before storing or looking it up
+ * @param {string} token - Raw token value
+ * @returns {string} SHA-256 hex digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Moment to store in tokensRevokedAt to revoke every token issued so far,
+ * when a new token is issued right after (e.g. on password change)
+ * JWT iat has one-second resolution: revoke up to the end of the previous
+ * second, so tokens issued from now on (in the current second) stay valid
+ * @returns {Date} Revocation time
+ */
+const revokeTokensIssuedUntilNow = () => new Date(Math.floor(Date.now() / 1000) * 1000 - 1);
+
+/**
+ * Moment to store in tokensRevokedAt to revoke every token, including ones
+ * issued earlier in the current second: up to the end of that second
+ * A login in the rest of that second gets a token that is rejected too
+ * @returns {Date} Revocation time
+ */
+const revokeAllTokens = () => new Date(Math.floor(Date.now() / 1000) * 1000 + 999);
+
+/**
+ * Sign a short-lived access token for a user
+ * @param {Object} user - User document
+ * @returns {string} Signed JWT
+ */
+const generateAccessToken = (user) => {
+    const payload = {
+        sub: user._id.toString(),
+        email: user.email
+    };
+
+    return jwt.sign(
+        { payload },
+        jwtConfig.privateKey,
+        jwtConfig.getSignOptions(crypto.randomUUID(), user._id.toString())
+    );
+};
+
+/**
+ * Create and store a refresh token
+ * @param {Object} userId - User ID
+ * @param {string} family - Rotation family, a new one is started when omitted
+ * @returns {Promise<string>} Raw refresh token (only its hash is stored)
+ */
+const issueRefreshToken = async (userId, family = crypto.randomUUID()) => {
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    const expiresAt = new Date(Date.now() + jwtConfig.refreshExpiresInDays * 24 * 60 * 60 * 1000);
+
+    await Token.create({
+        userId,
+        token: hashToken(refreshToken),
+        type: 'refresh',
+        family,
+        expiresAt
+    });
+
+    return refreshToken;
+};
+
+/**
+ * Generate a 6-digit one-time code with a CSPRNG
+ */
+const generateCode = () => crypto.randomInt(100000, 1000000).toString();
+
+/**
+ * Check a one-time code against the user's current code of a type
+ * Every check uses up an attempt, so concurrent guesses can't go past the
+ * limit; the code is deleted once it has no attempts left
+ * @param {Object} userId - User ID
+ * @param {string} type - verification, reset or email-change
+ * @param {string} code - Code entered by the user
+ * @returns {Promise<Object|null>} The token when the code matches
+ */
+const checkCode = async (userId, type, code) => {
+    const tokenRecord = await Token.findOneAndUpdate(
+        {
+            userId,
+            type,
+            expiresAt: { $gt: new Date() },
+            attempts: { $lt: MAX_CODE_ATTEMPTS }
+        },
+        { $inc: { attempts: 1 } },
+        { new: true, sort: { createdAt: -1 } }
+    );
+
+    if (!tokenRecord) {
+        return null;
+    }
+
+    if (tokenRecord.token === hashToken(code)) {
+        return tokenRecord;
+    }
+
+    if (tokenRecord.attempts >= MAX_CODE_ATTEMPTS) {
+        await Token.findByIdAndDelete(tokenRecord._id);
+    }
+    return null;
+};
+
+/**
+ * Create a verification code for a user and queue the email with it
+ * Replaces any previous verification code
+ * @param {Object} user - User document
+ */
+const sendVerificationCode = async (user) => {
+    const code = generateCode();
+
+    await Token.deleteMany({ userId: user._id, type: 'verification' });
+
+    const token = await Token.create({
+        userId: user._id,
+        token: hashToken(code),
+        type: 'verification',
+        expiresAt: new Date(Date.now() + VERIFICATION_CODE_TTL_MS)
+    });
+
+    await queueEmail(user.email, 'verification', { code }, { locale: user.locale, expiresAt: token.expiresAt });
+};
+
+/**
+ * Resolve the storage key of a profile picture variant
+ * New pictures are stored as a key prefix with one WebP file per size; older
+ * records hold the path of a single original file.
+ * @param {string} profilePicture - Value of user.profilePicture
+ * @param {string} size - Variant name (see AVATAR_SIZES)
+ * @returns {string} Storage key
+ */
+const profilePictureKey = (profilePicture, size) => {
+    if (path.extname(profilePicture)) {
+        return path.isAbsolute(profilePicture) ? path.basename(profilePicture) : profilePicture;
+    }
+    return `${profilePicture}/${size}.webp`;
+};
+
+/**
+ * Delete every stored file of a profile picture
+ * @param {string} profilePicture - Value of user.profilePicture
+ */
+const deleteProfilePicture = async (profilePicture) => {
+    const keys = new Set(Object.keys(AVATAR_SIZES).map(size => profilePictureKey(profilePicture, size)));
+    for (const key of keys) {
+        await storage.delete(key);
+    }
+};
 
 /**
  * Register new user
@@ -14,6 +180,8 @@ const { sendOTPEmail, verifyEmailConfig } = require('../../config/email.config')
 const register = async (req, res, next) => {
     try {
         const { email, password } = req.body;
+        // Language of the user's emails: as requested, or from the Accept-Language header
+        const locale = req.body.locale || req.acceptsLanguages(SUPPORTED_LOCALES) || DEFAULT_LOCALE;
 
         // Check if user already exists
         const existingUser = await User.findOne({ email });
@@ -27,18 +195,29 @@ const register = async (req, res, next) => {
         // Create user
         const user = new User({
             email,
-            password: hashedPassword
+            password: hashedPassword,
+            locale
         });
 
         await user.save();
 
+        // Send verification code (registration still succeeds if email fails)
+        let message = 'User registered successfully. A verification code was sent to your email address.';
+        try {
+            await sendVerificationCode(user);
+        } catch (emailError) {
+            console.error('Failed to queue verification email:', emailError.message);
+            message = 'User registered successfully, but the verification email could not be sent. Please request a new code.';
+        }
+
         res.status(201).json({
             success: true,
-            message: 'User registered successfully',
+            message,
             data: {
                 id: user._id,
                 email: user.email,
-                isVerified: user.isVerified
+                isVerified: user.isVerified,
+                locale: user.locale
             }
         });
     } catch (error) {
@@ -46,6 +225,77 @@ const register = async (req, res, next) => {
     }
 };
 
+/**
+ * Verify email address with code
+ */
+const verifyEmail = async (req, res, next) => {
+    try {
+        const { email, code } = req.body;
+
+        const user = await User.findOne({ email });
+        if (!user) {
+            return next(createError(404, 'User not found'));
+        }
+
+        if (user.isVerified) {
+            return next(createError(400, 'Email is already verified'));
+        }
+
+        const tokenRecord = await checkCode(user._id, 'verification', code);
+        if (!tokenRecord) {
+            return next(createError(400, 'Invalid or expired verification code'));
+        }
+
+        await User.findByIdAndUpdate(user._id, { isVerified: true });
+        await Token.deleteMany({ userId: user._id, type: 'verification' });
+
+        res.json({
+            success: true,
+            message: 'Email verified successfully'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Resend email verification code
+ */
+const resendVerification = async (req, res, next) => {
+    try {
+        const { email } = req.body;
+
+        const user = await User.findOne({ email });
+        if (!user) {
+            return next(createError(404, 'User not found'));
+        }
+
+        if (user.isVerified) {
+            return next(createError(400, 'Email is already verified'));
+        }
+
+        // Throttle resends
+        const recentToken = await Token.findOne({
+            userId: user._id,
+            type: 'verification',
+            createdAt: { $gt: new Date(Date.now() - VERIFICATION_RESEND_COOLDOWN_MS) }
+        });
+
+        if (recentToken) {
+            return next(createError(429, 'Please wait a minute before requesting another verification code'));
+        }
+
+        await sendVerificationCode(user);
+
+        res.json({
+            success: true,
+            message: 'Verification code sent to your email address. Valid for 30 minutes.'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 /**
  * Login user
  */
@@ -53,29 +303,49 @@ const login = async (req, res, next) => {
     try {
         const { email, password } = req.body;
 
+        const attempt = attemptKeys('login', email, req.ip);
+        await assertNotLocked(attempt);
+
         // Find user
         const user = await User.findOne({ email });
         if (!user) {
+            await recordFailure(attempt);
             return next(createError(401, 'Invalid email or password'));
         }
 
         // Validate password
         const isValidPassword = await bcrypt.compare(password, user.password);
         if (!isValidPassword) {
+            await recordFailure(attempt);
             return next(createError(401, 'Invalid email or password'));
         }
 
-        // Generate JWT
-        const payload = {
-            sub: user._id.toString(),
-            email: user.email
-        };
+        // With 2FA the password only unlocks the second step (see loginTwoFactor)
+        if (user.twoFactor.enabled) {
+            const twoFactorToken = crypto.randomBytes(32).toString('hex');
+
+            await Token.create({
+                userId: user._id,
+                token: hashToken(twoFactorToken),
+                type: 'two-factor',
+                expiresAt: new Date(Date.now() + TWO_FACTOR_LOGIN_TTL_MS)
+            });
+
+            return res.json({
+                success: true,
+                message: 'Two-factor authentication required',
+                data: {
+                    twoFactorRequired: true,
+                    twoFactorToken
+                }
+            });
+        }
 
-        const token = jwt.sign(
-            { payload },
-            jwtConfig.privateKey,
-            jwtConfig.getSignOptions(crypto.randomUUID(), user._id.toString())
-        );
+        await clearFailures(attempt);
+
+        // Generate access and refresh tokens
+        const token = generateAccessToken(user);
+        const refreshToken = await issueRefreshToken(user._id);
 
         res.json({
             success: true,
@@ -86,7 +356,131 @@ const login = async (req, res, next) => {
                     email: user.email,
                     isVerified: user.isVerified
                 },
-                token
+                token,
+                refreshToken
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Second login step for users with 2FA: exchange the token from login and a
+ * TOTP or backup code for the access/refresh token pair
+ */
+const loginTwoFactor = async (req, res, next) => {
+    try {
+        const { twoFactorToken } = req.body;
+        const code = req.body.code.trim();
+
+        // Each check uses up an attempt of the login token
+        const tokenRecord = await Token.findOneAndUpdate(
+            {
+                token: hashToken(twoFactorToken),
+                type: 'two-factor',
+                expiresAt: { $gt: new Date() },
+                attempts: { $lt: MAX_CODE_ATTEMPTS }
+            },
+            { $inc: { attempts: 1 } },
+            { new: true }
+        );
+
+        if (!tokenRecord) {
+            return next(createError(401, 'Invalid or expired two-factor login. Please log in again.'));
+        }
+
+        const user = await User.findById(tokenRecord.userId);
+        if (!user) {
+            return next(createError(401, 'Invalid or expired two-factor login. Please log in again.'));
+        }
+
+        // Wrong codes count as failed logins
+        const attempt = attemptKeys('login', user.email, req.ip);
+        await assertNotLocked(attempt);
+
+        const method = await verifySecondFactor(user._id, code);
+        if (!method) {
+            await recordFailure(attempt);
+            if (tokenRecord.attempts >= MAX_CODE_ATTEMPTS) {
+                await Token.findByIdAndDelete(tokenRecord._id);
+            }
+            return next(createError(401, 'Invalid two-factor code'));
+        }
+
+        await Token.findByIdAndDelete(tokenRecord._id);
+        await clearFailures(attempt);
+
+        const token = generateAccessToken(user);
+        const refreshToken = await issueRefreshToken(user._id);
+
+        const data = {
+            user: {
+                id: user._id,
+                email: user.email,
+                isVerified: user.isVerified
+            },
+            token,
+            refreshToken
+        };
+
+        if (method === 'backup') {
+            data.backupCodesRemaining = await countBackupCodes(user._id);
+        }
+
+        res.json({
+            success: true,
+            message: 'Login successful',
+            data
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair (rotation)
+ */
+const refresh = async (req, res, next) => {
+    try {
+        const { refreshToken } = req.body;
+
+        const tokenRecord = await Token.findOne({
+            token: hashToken(refreshToken),
+            type: 'refresh',
+            expiresAt: { $gt: new Date() }
+        });
+
+        if (!tokenRecord) {
+            return next(createError(401, 'Invalid or expired refresh token'));
+        }
+
+        // Mark as used atomically so concurrent requests can't both rotate it
+        const claimed = await Token.findOneAndUpdate(
+            { _id: tokenRecord._id, usedAt: null },
+            { usedAt: new Date() }
+        );
+
+        // A rotated token presented again means it leaked: kill the whole family
+        if (!claimed) {
+            await Token.deleteMany({ type: 'refresh', family: tokenRecord.family });
+            return next(createError(401, 'Refresh token reuse detected. Please log in again.'));
+        }
+
+        const user = await User.findById(tokenRecord.userId);
+        if (!user) {
+            return next(createError(401, 'User not found'));
+        }
+
+        const token = generateAccessToken(user);
+        const newRefreshToken = await issueRefreshToken(user._id, tokenRecord.family);
+
+        res.json({
+            success: true,
+            message: 'Token refreshed successfully',
+            data: {
+                token,
+                refreshToken: newRefreshToken
             }
         });
     } catch (error) {
@@ -100,16 +494,42 @@ const login = async (req, res, next) => {
 const uploadProfilePic = async (req, res, next) => {
     try {
         const userId = req.user._id;
-        const filePath = req.file.path;
+        const previousPicture = req.user.profilePicture;
+
+        // Resize to the standard sizes; re-encoding also strips EXIF metadata
+        let variants;
+        try {
+            variants = await createAvatarVariants(req.file.buffer);
+        } catch (imageError) {
+            return next(createError(400, 'Invalid or corrupted image'));
+        }
+
+        const keyPrefix = `avatars/${userId}/${crypto.randomUUID()}`;
+        for (const [size, data] of Object.entries(variants)) {
+            await storage.put(profilePictureKey(keyPrefix, size), data, { contentType: 'image/webp' });
+        }
 
-        // Update user with profile picture path
-        await User.findByIdAndUpdate(userId, { profilePicture: filePath });
+        // Store the storage key, never a server path
+        await User.findByIdAndUpdate(userId, { profilePicture: keyPrefix });
 
+        // Remove the replaced picture so uploads don't pile up
+        if (previousPicture) {
+            try {
+                await deleteProfilePicture(previousPicture);
+            } catch (cleanupError) {
+                console.error('Failed to delete old profile picture:', cleanupError.message);
+            }
+        }
+
+        const baseUrl = `/api/auth/profile-pic/${userId}`;
         res.json({
             success: true,
             message: 'Profile picture updated successfully',
             data: {
-                filePath
+                profilePictureUrl: baseUrl,
+                sizes: Object.fromEntries(
+                    Object.keys(AVATAR_SIZES).map(size => [size, `${baseUrl}?size=${size}`])
+                )
             }
         });
     } catch (error) {
@@ -117,13 +537,73 @@ const uploadProfilePic = async (req, res, next) => {
     }
 };
 
+/**
+ * Download a user's profile picture
+ * Visible to the user and to users they share notes with (either direction)
+ */
+const getProfilePic = async (req, res, next) => {
+    try {
+        const { userId } = req.params;
+        const { size = 'medium' } = req.query;
+        const requesterId = req.user._id;
+
+        if (!requesterId.equals(userId)) {
+            const isRelated = await Note.exists({
+                deletedAt: null,
+                $or: [
+                    { ownerId: userId, 'shares.userId': requesterId },
+                    { ownerId: requesterId, 'shares.userId': userId }
+                ]
+            });
+
+            // Same answer as a missing picture, so user IDs can't be probed
+            if (!isRelated) {
+                return next(createError(404, 'Profile picture not found'));
+            }
+        }
+
+        const user = await User.findById(userId).select('profilePicture').lean();
+        if (!user || !user.profilePicture) {
+            return next(createError(404, 'Profile picture not found'));
+        }
+
+        const storageKey = profilePictureKey(user.profilePicture, size);
+
+        const stream = await storage.getStream(storageKey);
+
+        res.type(path.extname(storageKey));
+        res.set('Cache-Control', 'private, max-age=300');
+
+        stream.on('error', next);
+        stream.pipe(res);
+    } catch (error) {
+        next(error);
+    }
+};
+
 /**
  * Logout user (revoke token)
  */
 const logout = async (req, res, next) => {
     try {
-        // For simple implementation, just send success
-        // In production, you might want to blacklist the token
+        const { jti, exp } = req.token;
+
+        // Blacklist the current token until it would have expired on its own
+        await RevokedToken.updateOne(
+            { jti },
+            { $setOnInsert: { jti, userId: req.user._id, expiresAt: new Date(exp * 1000) } },
+            { upsert: true }
+        );
+
+        // Also end the refresh token chain of this session, if provided
+        const { refreshToken } = req.body || {};
+        if (refreshToken) {
+            const tokenRecord = await Token.findOne({ token: hashToken(refreshToken), type: 'refresh', userId: req.user._id });
+            if (tokenRecord) {
+                await Token.deleteMany({ type: 'refresh', family: tokenRecord.family });
+            }
+        }
+
         res.json({
             success: true,
             message: 'Logout successful'
@@ -133,6 +613,254 @@ const logout = async (req, res, next) => {
     }
 };
 
+/**
+ * Logout user from all devices (revoke every outstanding token)
+ */
+const logoutAll = async (req, res, next) => {
+    try {
+        // Any token issued up to now, this request's included, is rejected by the auth middleware
+        await User.findByIdAndUpdate(req.user._id, { tokensRevokedAt: revokeAllTokens() });
+        await Token.deleteMany({ userId: req.user._id, type: 'refresh' });
+
+        res.json({
+            success: true,
+            message: 'Logged out from all devices successfully'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get the authenticated user's profile
+ */
+const getMe = async (req, res, next) => {
+    try {
+        const user = req.user;
+
+        res.json({
+            success: true,
+            message: 'Profile retrieved successfully',
+            data: {
+                id: user._id,
+                email: user.email,
+                isVerified: user.isVerified,
+                pendingEmail: user.pendingEmail,
+                locale: user.locale,
+                twoFactorEnabled: user.twoFactor.enabled,
+                profilePictureUrl: user.profilePicture ? `/api/auth/profile-pic/${user._id}` : null,
+                createdAt: user.createdAt,
+                updatedAt: user.updatedAt
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Update profile settings (the language of emails)
+ */
+const updateMe = async (req, res, next) => {
+    try {
+        const user = await User.findByIdAndUpdate(req.user._id, { locale: req.body.locale }, { new: true });
+
+        res.json({
+            success: true,
+            message: 'Profile updated successfully',
+            data: {
+                id: user._id,
+                email: user.email,
+                locale: user.locale
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Change password (requires the current one)
+ * Every other session is logged out; the caller gets a fresh token pair
+ */
+const changePassword = async (req, res, next) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+
+        const user = await User.findById(req.user._id);
+
+        const isValidPassword = await bcrypt.compare(currentPassword, user.password);
+        if (!isValidPassword) {
+            return next(createError(400, 'Current password is incorrect'));
+        }
+
+        const isSamePassword = await bcrypt.compare(newPassword, user.password);
+        if (isSamePassword) {
+            return next(createError(400, 'New password must be different from current password'));
+        }
+
+        const hashedPassword = await bcrypt.hash(newPassword, 12);
+
+        // The token issued below stays valid (see revokeTokensIssuedUntilNow)
+        const tokensRevokedAt = revokeTokensIssuedUntilNow();
+
+        await User.findByIdAndUpdate(user._id, { password: hashedPassword, tokensRevokedAt });
+        await Token.deleteMany({ userId: user._id, type: { $in: ['refresh', 'reset'] } });
+
+        const token = generateAccessToken(user);
+        const refreshToken = await issueRefreshToken(user._id);
+
+        res.json({
+            success: true,
+            message: 'Password changed successfully. Other sessions have been logged out.',
+            data: {
+                token,
+                refreshToken
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Start an email change: send a confirmation code to the new address
+ * The email only changes once the code is confirmed
+ */
+const changeEmail = async (req, res, next) => {
+    try {
+        const { password } = req.body;
+        const newEmail = req.body.newEmail.toLowerCase();
+
+        const user = await User.findById(req.user._id);
+
+        const isValidPassword = await bcrypt.compare(password, user.password);
+        if (!isValidPassword) {
+            return next(createError(400, 'Password is incorrect'));
+        }
+
+        if (newEmail === user.email) {
+            return next(createError(400, 'New email must be different from current email'));
+        }
+
+        const existingUser = await User.exists({ email: newEmail });
+        if (existingUser) {
+            return next(createError(400, 'User with this email already exists'));
+        }
+
+        const code = generateCode();
+
+        await Token.deleteMany({ userId: user._id, type: 'email-change' });
+        const token = await Token.create({
+            userId: user._id,
+            token: hashToken(code),
+            type: 'email-change',
+            expiresAt: new Date(Date.now() + VERIFICATION_CODE_TTL_MS)
+        });
+
+        await queueEmail(newEmail, 'email-change', { code }, { locale: user.locale, expiresAt: token.expiresAt });
+
+        await User.findByIdAndUpdate(user._id, { pendingEmail: newEmail });
+
+        res.json({
+            success: true,
+            message: `Confirmation code sent to ${newEmail}. Valid for 30 minutes.`
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Confirm an email change with the code sent to the new address
+ */
+const confirmEmailChange = async (req, res, next) => {
+    try {
+        const { code } = req.body;
+        const user = req.user;
+
+        const tokenRecord = await checkCode(user._id, 'email-change', code);
+        if (!tokenRecord || !user.pendingEmail) {
+            return next(createError(400, 'Invalid or expired confirmation code'));
+        }
+
+        // The address may have been registered since the change was requested
+        const existingUser = await User.exists({ email: user.pendingEmail });
+        if (existingUser) {
+            await Token.deleteMany({ userId: user._id, type: 'email-change' });
+            await User.findByIdAndUpdate(user._id, { pendingEmail: null });
+            return next(createError(400, 'User with this email already exists'));
+        }
+
+        // The code proves ownership of the new address, so it counts as verified
+        const updatedUser = await User.findByIdAndUpdate(
+            user._id,
+            { email: user.pendingEmail, isVerified: true, pendingEmail: null },
+            { new: true }
+        );
+        await Token.deleteMany({ userId: user._id, type: 'email-change' });
+
+        res.json({
+            success: true,
+            message: 'Email changed successfully',
+            data: {
+                id: updatedUser._id,
+                email: updatedUser.email,
+                isVerified: updatedUser.isVerified
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Delete the account and everything that belongs to it
+ * Removes the user's notes (with revisions and attachment files), notebooks,
+ * tokens and profile picture, and their access to notes shared with them
+ */
+const deleteAccount = async (req, res, next) => {
+    try {
+        const { password } = req.body;
+
+        const user = await User.findById(req.user._id);
+
+        const isValidPassword = await bcrypt.compare(password, user.password);
+        if (!isValidPassword) {
+            return next(createError(400, 'Password is incorrect'));
+        }
+
+        const noteIds = await Note.find({ ownerId: user._id }).distinct('_id');
+        await purgeNotes(noteIds);
+        await Notebook.deleteMany({ ownerId: user._id });
+        await Note.updateMany({ 'shares.userId': user._id }, { $pull: { shares: { userId: user._id } } });
+
+        await Reminder.deleteMany({ userId: user._id });
+        await Token.deleteMany({ userId: user._id });
+        await RevokedToken.deleteMany({ userId: user._id });
+
+        if (user.profilePicture) {
+            try {
+                await deleteProfilePicture(user.profilePicture);
+            } catch (cleanupError) {
+                console.error('Failed to delete profile picture:', cleanupError.message);
+            }
+        }
+
+        await User.findByIdAndDelete(user._id);
+
+        res.json({
+            success: true,
+            message: 'Account deleted successfully',
+            data: {
+                deletedNotes: noteIds.length
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 /**
  * Send OTP for password reset
  */
@@ -159,28 +887,21 @@ const forgetPassword = async (req, res, next) => {
         }
 
         // Generate OTP
-        const otp = Math.floor(100000 + Math.random() * 900000).toString();
-        const expiresAt = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
+        const otp = generateCode();
+        const expiresAt = new Date(Date.now() + RESET_CODE_TTL_MS);
 
-        // Save OTP token
+        // Save OTP token (only its hash is stored)
         const token = new Token({
             userId: user._id,
-            token: otp,
+            token: hashToken(otp),
             type: 'reset',
             expiresAt
         });
 
         await token.save();
 
-        // Send OTP email
-        try {
-            await sendOTPEmail(email, otp);
-        } catch (emailError) {
-            // Clean up the token if email fails
-            await Token.findByIdAndDelete(token._id);
-            console.error('Failed to send OTP email:', emailError.message);
-            return next(createError(500, 'Failed to send OTP email. Please try again later.'));
-        }
+        // Queue OTP email
+        await queueEmail(email, 'password-reset', { code: otp }, { locale: user.locale, expiresAt });
 
         res.json({
             success: true,
@@ -203,24 +924,25 @@ const resetPassword = async (req, res, next) => {
             return next(createError(400, 'Password must be at least 6 characters long'));
         }
 
+        const attempt = attemptKeys('reset-password', email, req.ip);
+        await assertNotLocked(attempt);
+
         // Find user
         const user = await User.findOne({ email });
         if (!user) {
+            await recordFailure(attempt);
             return next(createError(404, 'User not found'));
         }
 
-        // Verify OTP
-        const tokenRecord = await Token.findOne({
-            userId: user._id,
-            token: otp,
-            type: 'reset',
-            expiresAt: { $gt: new Date() }
-        });
-
+        // Verify OTP (invalidated after too many wrong guesses)
+        const tokenRecord = await checkCode(user._id, 'reset', otp);
         if (!tokenRecord) {
+            await recordFailure(attempt);
             return next(createError(400, 'Invalid or expired OTP'));
         }
 
+        await clearFailures(attempt);
+
         // Check if new password is same as current password
         const isSamePassword = await bcrypt.compare(newPassword, user.password);
         if (isSamePassword) {
@@ -247,9 +969,21 @@ const resetPassword = async (req, res, next) => {
 
 module.exports = {
     register,
+    verifyEmail,
+    resendVerification,
     login,
+    loginTwoFactor,
+    refresh,
     uploadProfilePic,
+    getProfilePic,
     logout,
+    logoutAll,
+    getMe,
+    updateMe,
+    changePassword,
+    changeEmail,
+    confirmEmailChange,
+    deleteAccount,
     forgetPassword,
     resetPassword
 };
@@ -0,0 +1,98 @@
+const createError = require('http-errors');
+const FailedAttempt = require('../../models/FailedAttempt.model');
+
+/**
+ * Brute-force protection for login and password reset
+ * Failures are counted per account and per IP address. Once a key reaches its
+ * limit, every further failure locks it out for twice as long as the last one
+ */
+
+// Failures allowed before the first lockout
+const MAX_FAILURES = {
+    account: 5,
+    ip: 20 // Higher, since users can share an address
+};
+
+const BASE_LOCKOUT_MS = 60 * 1000; // 1 minute
+const MAX_LOCKOUT_MS = 60 * 60 * 1000; // 1 hour
+const FAILURE_TTL_MS = 24 * 60 * 60 * 1000; // Counts reset after a day without failures
+
+/**
+ * Keys tracked for an attempt
+ * @param {string} action - What is attempted, e.g. login
+ * @param {string} email - Account the attempt is for
+ * @param {string} ip - Client IP address
+ * @returns {Array} [{ key, scope }]
+ */
+const attemptKeys = (action, email, ip) => [
+    { key: `${action}:account:${String(email).toLowerCase()}`, scope: 'account' },
+    { key: `${action}:ip:${ip}`, scope: 'ip' }
+];
+
+/**
+ * Lockout duration after a number of failures: 0 below the limit, then doubling
+ */
+const lockoutDuration = (failures, maxFailures) => {
+    if (failures < maxFailures) {
+        return 0;
+    }
+    return Math.min(BASE_LOCKOUT_MS * 2 ** (failures - maxFailures), MAX_LOCKOUT_MS);
+};
+
+/**
+ * Reject the attempt if the account or the IP address is locked out
+ * @param {Array} keys - Result of attemptKeys
+ * @throws {HttpError} 429 with a Retry-After header
+ */
+const assertNotLocked = async (keys) => {
+    const locked = await FailedAttempt.findOne({
+        key: { $in: keys.map(({ key }) => key) },
+        lockedUntil: { $gt: new Date() }
+    }).sort({ lockedUntil: -1 });
+
+    if (locked) {
+        const seconds = Math.ceil((locked.lockedUntil - Date.now()) / 1000);
+        const minutes = Math.ceil(seconds / 60);
+        throw createError(429, `Too many failed attempts. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`, {
+            headers: { 'Retry-After': String(seconds) }
+        });
+    }
+};
+
+/**
+ * Count a failed attempt and lock out the keys that reached their limit
+ * @param {Array} keys - Result of attemptKeys
+ */
+const recordFailure = async (keys) => {
+    const now = Date.now();
+
+    for (const { key, scope } of keys) {
+        const attempt = await FailedAttempt.findOneAndUpdate(
+            { key },
+            { $inc: { failures: 1 }, $set: { expiresAt: new Date(now + FAILURE_TTL_MS) } },
+            { upsert: true, new: true }
+        );
+
+        const duration = lockoutDuration(attempt.failures, MAX_FAILURES[scope]);
+        if (duration > 0) {
+            await FailedAttempt.updateOne({ _id: attempt._id }, { lockedUntil: new Date(now + duration) });
+        }
+    }
+};
+
+/**
+ * Reset the account's failures after a successful attempt
+ * The IP count is left to expire, or one valid account would unlock an attacker's address
+ * @param {Array} keys - Result of attemptKeys
+ */
+const clearFailures = async (keys) => {
+    const accountKeys = keys.filter(({ scope }) => scope === 'account').map(({ key }) => key);
+    await FailedAttempt.deleteMany({ key: { $in: accountKeys } });
+};
+
+module.exports = {
+    attemptKeys,
+    assertNotLocked,
+    recordFailure,
+    clearFailures
+};
\ No newline at end of file
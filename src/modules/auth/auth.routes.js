@@ -8,16 +8,50 @@ const { handleUpload } = require('../../middleware/upload.middleware');
 const {
     registerSchema,
     loginSchema,
+    verifyEmailSchema,
+    refreshTokenSchema,
+    logoutSchema,
+    profilePicSchema,
     forgetPasswordSchema,
-    resetPasswordSchema
+    resetPasswordSchema,
+    changePasswordSchema,
+    changeEmailSchema,
+    confirmEmailChangeSchema,
+    deleteAccountSchema,
+    updateProfileSchema,
+    enableTwoFactorSchema,
+    loginTwoFactorSchema,
+    twoFactorPasswordSchema
 } = require('../../middleware/validation.middleware');
 const authController = require('./auth.controller');
+const twoFactor = require('./auth.twoFactor');
 
 // Auth routes
 router.post('/register', validate(registerSchema), authController.register);
+router.post('/verify-email', validate(verifyEmailSchema), authController.verifyEmail);
+router.post('/resend-verification', validate(forgetPasswordSchema), authController.resendVerification);
 router.post('/login', validate(loginSchema), authController.login);
+router.post('/login/2fa', validate(loginTwoFactorSchema), authController.loginTwoFactor);
+router.post('/refresh', validate(refreshTokenSchema), authController.refresh);
 router.patch('/upload-profile-pic', authenticate, handleUpload, authController.uploadProfilePic);
-router.post('/logout', authenticate, authController.logout);
+router.get('/profile-pic/:userId', authenticate, validate(profilePicSchema), authController.getProfilePic);
+router.post('/logout', authenticate, validate(logoutSchema), authController.logout);
+router.post('/logout-all', authenticate, authController.logoutAll);
+
+// Account management routes
+router.get('/me', authenticate, authController.getMe);
+router.patch('/me', authenticate, validate(updateProfileSchema), authController.updateMe);
+router.delete('/me', authenticate, validate(deleteAccountSchema), authController.deleteAccount);
+router.post('/change-password', authenticate, validate(changePasswordSchema), authController.changePassword);
+router.post('/change-email', authenticate, validate(changeEmailSchema), authController.changeEmail);
+router.post('/change-email/confirm', authenticate, validate(confirmEmailChangeSchema), authController.confirmEmailChange);
+
+// Two-factor authentication routes
+router.post('/2fa/setup', authenticate, twoFactor.setupTwoFactor);
+router.post('/2fa/enable', authenticate, validate(enableTwoFactorSchema), twoFactor.enableTwoFactor);
+router.post('/2fa/disable', authenticate, validate(twoFactorPasswordSchema), twoFactor.disableTwoFactor);
+router.post('/2fa/backup-codes', authenticate, validate(twoFactorPasswordSchema), twoFactor.regenerateBackupCodes);
+
 router.post('/forget-password', validate(forgetPasswordSchema), authController.forgetPassword);
 router.post('/reset-password', validate(resetPasswordSchema), authController.resetPassword);
 
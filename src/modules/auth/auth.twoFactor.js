@@ -0,0 +1,239 @@
+const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+const createError = require('http-errors');
+
+const User = require('../../models/User.model');
+const Token = require('../../models/Token.model');
+const totp = require('../../utils/totp');
+
+/**
+ * Opt-in two-factor authentication with an authenticator app (TOTP)
+ * Enrollment is two steps: setup returns a secret, enable confirms it with a
+ * first code. Backup codes are one-time replacements for a TOTP code
+ */
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Smart Note App';
+const BACKUP_CODE_COUNT = 10;
+
+const hashCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+// Backup codes are shown as "xxxxx-xxxxx"; case, spaces and dashes don't matter
+const normalizeBackupCode = (code) => code.replace(/[\s-]/g, '').toLowerCase();
+
+/**
+ * Generate a new set of backup codes
+ * @returns {Object} { codes: shown to the user once, hashes: stored }
+ */
+const generateBackupCodes = () => {
+    const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+        const code = crypto.randomBytes(5).toString('hex');
+        return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+
+    return {
+        codes,
+        hashes: codes.map(code => hashCode(normalizeBackupCode(code)))
+    };
+};
+
+/**
+ * Check a second factor of a user with 2FA enabled: a TOTP code or a backup code
+ * Accepted codes are used up atomically, so the same code can't log in twice
+ * @param {Object} userId - User ID
+ * @param {string} code - TOTP or backup code
+ * @returns {Promise<string|null>} totp or backup when accepted, null otherwise
+ */
+const verifySecondFactor = async (userId, code) => {
+    const user = await User.findById(userId).select('+twoFactor.secret');
+    if (!user || !user.twoFactor.enabled) {
+        return null;
+    }
+
+    if (/^\d{6}$/.test(code)) {
+        const step = totp.verifyCode(user.twoFactor.secret, code);
+        if (step === null) {
+            return null;
+        }
+
+        // Only accept steps after the last used one
+        const result = await User.updateOne(
+            { _id: userId, 'twoFactor.lastUsedStep': { $lt: step } },
+            { 'twoFactor.lastUsedStep': step }
+        );
+        return result.modifiedCount === 1 ? 'totp' : null;
+    }
+
+    const hash = hashCode(normalizeBackupCode(code));
+    const result = await User.updateOne(
+        { _id: userId, 'twoFactor.backupCodes': hash },
+        { $pull: { 'twoFactor.backupCodes': hash } }
+    );
+    return result.modifiedCount === 1 ? 'backup' : null;
+};
+
+/**
+ * Count the unused backup codes of a user
+ * @param {Object} userId - User ID
+ * @returns {Promise<number>} Number of codes left
+ */
+const countBackupCodes = async (userId) => {
+    const user = await User.findById(userId).select('+twoFactor.backupCodes');
+    return user ? user.twoFactor.backupCodes.length : 0;
+};
+
+/**
+ * Start 2FA enrollment: create a secret for the authenticator app
+ * 2FA is only turned on once a code from the app is confirmed (see enableTwoFactor)
+ */
+const setupTwoFactor = async (req, res, next) => {
+    try {
+        const user = req.user;
+
+        if (user.twoFactor.enabled) {
+            return next(createError(400, 'Two-factor authentication is already enabled'));
+        }
+
+        const secret = totp.generateSecret();
+        await User.findByIdAndUpdate(user._id, { 'twoFactor.pendingSecret': secret });
+
+        res.json({
+            success: true,
+            message: 'Add this secret to your authenticator app, then confirm with a code from the app',
+            data: {
+                secret,
+                otpauthUrl: totp.buildOtpauthUrl(secret, user.email, TOTP_ISSUER)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Finish 2FA enrollment with a first code from the authenticator app
+ * Returns the backup codes; they are not shown again
+ */
+const enableTwoFactor = async (req, res, next) => {
+    try {
+        const code = req.body.code.trim();
+
+        const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+
+        if (user.twoFactor.enabled) {
+            return next(createError(400, 'Two-factor authentication is already enabled'));
+        }
+
+        if (!user.twoFactor.pendingSecret) {
+            return next(createError(400, 'Start two-factor setup first'));
+        }
+
+        const step = totp.verifyCode(user.twoFactor.pendingSecret, code);
+        if (step === null) {
+            return next(createError(400, 'Invalid two-factor code'));
+        }
+
+        const { codes, hashes } = generateBackupCodes();
+
+        await User.findByIdAndUpdate(user._id, {
+            twoFactor: {
+                enabled: true,
+                secret: user.twoFactor.pendingSecret,
+                pendingSecret: null,
+                backupCodes: hashes,
+                lastUsedStep: step,
+                enabledAt: new Date()
+            }
+        });
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication enabled. Store your backup codes in a safe place; they will not be shown again.',
+            data: {
+                backupCodes: codes
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Turn 2FA off (requires the password)
+ */
+const disableTwoFactor = async (req, res, next) => {
+    try {
+        const { password } = req.body;
+
+        const user = await User.findById(req.user._id);
+
+        const isValidPassword = await bcrypt.compare(password, user.password);
+        if (!isValidPassword) {
+            return next(createError(400, 'Password is incorrect'));
+        }
+
+        if (!user.twoFactor.enabled) {
+            return next(createError(400, 'Two-factor authentication is not enabled'));
+        }
+
+        await User.findByIdAndUpdate(user._id, {
+            twoFactor: {
+                enabled: false,
+                secret: null,
+                pendingSecret: null,
+                backupCodes: [],
+                lastUsedStep: 0,
+                enabledAt: null
+            }
+        });
+        await Token.deleteMany({ userId: user._id, type: 'two-factor' });
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication disabled'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Replace the backup codes with a new set (requires the password)
+ */
+const regenerateBackupCodes = async (req, res, next) => {
+    try {
+        const { password } = req.body;
+
+        const user = await User.findById(req.user._id);
+
+        const isValidPassword = await bcrypt.compare(password, user.password);
+        if (!isValidPassword) {
+            return next(createError(400, 'Password is incorrect'));
+        }
+
+        if (!user.twoFactor.enabled) {
+            return next(createError(400, 'Two-factor authentication is not enabled'));
+        }
+
+        const { codes, hashes } = generateBackupCodes();
+        await User.findByIdAndUpdate(user._id, { 'twoFactor.backupCodes': hashes });
+
+        res.json({
+            success: true,
+            message: 'New backup codes generated. The previous codes no longer work.',
+            data: {
+                backupCodes: codes
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    verifySecondFactor,
+    countBackupCodes,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateBackupCodes
+};
\ No newline at end of file
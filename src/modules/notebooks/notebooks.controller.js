@@ -0,0 +1,270 @@
+const createError = require('http-errors');
+const Notebook = require('../../models/Notebook.model');
+const Note = require('../../models/Note.model');
+const { findOwnedNotebook } = require('./notebooks.service');
+const { trashNote } = require('../notes/notes.service');
+
+/**
+ * Format a notebook for API responses
+ */
+const formatNotebook = (notebook, noteCount = 0) => ({
+    id: notebook._id,
+    name: notebook.name,
+    parentId: notebook.parentId,
+    depth: notebook.ancestors.length,
+    noteCount,
+    createdAt: notebook.createdAt,
+    updatedAt: notebook.updatedAt
+});
+
+/**
+ * Count active notes per notebook
+ * @param {Object} ownerId - User ID
+ * @returns {Promise<Map>} Notebook ID string -> note count
+ */
+const countNotesByNotebook = async (ownerId) => {
+    const counts = await Note.aggregate([
+        { $match: { ownerId, deletedAt: null } },
+        { $group: { _id: '$notebookId', count: { $sum: 1 } } }
+    ]);
+
+    return new Map(counts.map(({ _id, count }) => [String(_id), count]));
+};
+
+/**
+ * Create a notebook, optionally nested in another one
+ */
+const createNotebook = async (req, res, next) => {
+    try {
+        const { name, parentId = null } = req.body;
+        const ownerId = req.user._id;
+
+        let ancestors = [];
+        if (parentId) {
+            const parent = await findOwnedNotebook(parentId, ownerId);
+            ancestors = [...parent.ancestors, parent._id];
+        }
+
+        if (ancestors.length >= Notebook.MAX_DEPTH) {
+            return next(createError(400, `Notebooks cannot be nested more than ${Notebook.MAX_DEPTH} levels deep`));
+        }
+
+        const notebook = await Notebook.create({ name, ownerId, parentId, ancestors });
+
+        res.status(201).json({
+            success: true,
+            message: 'Notebook created successfully',
+            data: formatNotebook(notebook)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get the user's notebooks as a tree
+ */
+const getNotebooks = async (req, res, next) => {
+    try {
+        const ownerId = req.user._id;
+
+        const [notebooks, counts] = await Promise.all([
+            Notebook.find({ ownerId }).sort({ name: 1 }).lean(),
+            countNotesByNotebook(ownerId)
+        ]);
+
+        // Link every notebook to its parent
+        const nodes = new Map(notebooks.map(notebook => [
+            String(notebook._id),
+            { ...formatNotebook(notebook, counts.get(String(notebook._id)) || 0), children: [] }
+        ]));
+
+        const tree = [];
+        for (const node of nodes.values()) {
+            const parent = node.parentId && nodes.get(String(node.parentId));
+            if (parent) {
+                parent.children.push(node);
+            } else {
+                tree.push(node);
+            }
+        }
+
+        res.json({
+            success: true,
+            message: 'Notebooks retrieved successfully',
+            data: {
+                notebooks: tree,
+                unfiledNoteCount: counts.get('null') || 0
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get a notebook with its path and direct children
+ */
+const getNotebookById = async (req, res, next) => {
+    try {
+        const ownerId = req.user._id;
+        const notebook = await findOwnedNotebook(req.params.id, ownerId);
+
+        const [ancestors, children, counts] = await Promise.all([
+            Notebook.find({ _id: { $in: notebook.ancestors } }).select('name').lean(),
+            Notebook.find({ ownerId, parentId: notebook._id }).sort({ name: 1 }).lean(),
+            countNotesByNotebook(ownerId)
+        ]);
+
+        // Keep the root-to-parent order of the materialized path
+        const ancestorNames = new Map(ancestors.map(ancestor => [String(ancestor._id), ancestor.name]));
+        const path = notebook.ancestors.map(id => ({ id, name: ancestorNames.get(String(id)) }));
+
+        res.json({
+            success: true,
+            message: 'Notebook retrieved successfully',
+            data: {
+                ...formatNotebook(notebook, counts.get(String(notebook._id)) || 0),
+                path,
+                children: children.map(child => formatNotebook(child, counts.get(String(child._id)) || 0))
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Rename a notebook and/or move it to another parent
+ */
+const updateNotebook = async (req, res, next) => {
+    try {
+        const { name, parentId } = req.body;
+        const ownerId = req.user._id;
+        const notebook = await findOwnedNotebook(req.params.id, ownerId);
+
+        if (name !== undefined) {
+            notebook.name = name;
+        }
+
+        const isMove = parentId !== undefined && String(parentId) !== String(notebook.parentId);
+        let descendants = [];
+
+        if (isMove) {
+            let newAncestors = [];
+            if (parentId) {
+                const parent = await findOwnedNotebook(parentId, ownerId);
+
+                // A notebook can't be moved into itself or one of its descendants
+                if (parent._id.equals(notebook._id) || parent.ancestors.some(id => id.equals(notebook._id))) {
+                    return next(createError(400, 'A notebook cannot be moved into itself or one of its sub-notebooks'));
+                }
+
+                newAncestors = [...parent.ancestors, parent._id];
+            }
+
+            descendants = await Notebook.find({ ownerId, ancestors: notebook._id }).lean();
+
+            // The whole subtree must still fit in the depth limit
+            const subtreeHeight = descendants.reduce(
+                (height, descendant) => Math.max(height, descendant.ancestors.length - notebook.ancestors.length),
+                0
+            );
+            if (newAncestors.length + subtreeHeight >= Notebook.MAX_DEPTH) {
+                return next(createError(400, `Notebooks cannot be nested more than ${Notebook.MAX_DEPTH} levels deep`));
+            }
+
+            // Rewrite the path prefix of every descendant
+            const oldDepth = notebook.ancestors.length;
+            const operations = descendants.map(descendant => ({
+                updateOne: {
+                    filter: { _id: descendant._id },
+                    update: {
+                        ancestors: [...newAncestors, notebook._id, ...descendant.ancestors.slice(oldDepth + 1)]
+                    }
+                }
+            }));
+
+            notebook.parentId = parentId || null;
+            notebook.ancestors = newAncestors;
+
+            if (operations.length) {
+                await Notebook.bulkWrite(operations);
+            }
+        }
+
+        await notebook.save();
+
+        res.json({
+            success: true,
+            message: 'Notebook updated successfully',
+            data: formatNotebook(notebook)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Delete a notebook
+ * mode=move (default): notes and sub-notebooks move up to the parent notebook
+ * mode=cascade: sub-notebooks are deleted and all their notes go to the trash
+ */
+const deleteNotebook = async (req, res, next) => {
+    try {
+        const { mode = 'move' } = req.query;
+        const ownerId = req.user._id;
+        const notebook = await findOwnedNotebook(req.params.id, ownerId);
+
+        let movedNotes = 0;
+        let trashedNotes = 0;
+        let deletedNotebooks = 1;
+
+        if (mode === 'cascade') {
+            const descendants = await Notebook.find({ ownerId, ancestors: notebook._id }).select('_id').lean();
+            const notebookIds = [notebook._id, ...descendants.map(descendant => descendant._id)];
+
+            const notes = await Note.find({ ownerId, notebookId: { $in: notebookIds }, deletedAt: null }).select('_id').lean();
+            for (const note of notes) {
+                await trashNote(note._id, ownerId);
+            }
+            trashedNotes = notes.length;
+
+            // Trashed notes are detached so a restore lands them in "unfiled"
+            await Note.updateMany({ ownerId, notebookId: { $in: notebookIds } }, { notebookId: null });
+            await Notebook.deleteMany({ _id: { $in: notebookIds } });
+            deletedNotebooks = notebookIds.length;
+        } else {
+            // Children move up one level
+            await Notebook.updateMany({ ownerId, parentId: notebook._id }, { parentId: notebook.parentId });
+            await Notebook.updateMany({ ownerId, ancestors: notebook._id }, { $pull: { ancestors: notebook._id } });
+
+            const result = await Note.updateMany({ ownerId, notebookId: notebook._id }, { notebookId: notebook.parentId });
+            movedNotes = result.modifiedCount;
+
+            await Notebook.deleteOne({ _id: notebook._id });
+        }
+
+        res.json({
+            success: true,
+            message: 'Notebook deleted successfully',
+            data: {
+                id: notebook._id,
+                mode,
+                deletedNotebooks,
+                movedNotes,
+                trashedNotes
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    createNotebook,
+    getNotebooks,
+    getNotebookById,
+    updateNotebook,
+    deleteNotebook
+};
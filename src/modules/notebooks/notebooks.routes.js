@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+
+// Import middleware and controller
+const { authenticate, requireVerified } = require('../../middleware/auth.middleware');
+const { validate } = require('../../middleware/validation.middleware');
+const {
+    createNotebookSchema,
+    updateNotebookSchema,
+    deleteNotebookSchema,
+    objectIdParamSchema
+} = require('../../middleware/validation.middleware');
+const notebooksController = require('./notebooks.controller');
+
+// All routes require authentication (and a verified email when enforced)
+router.use(authenticate, requireVerified);
+
+// Notebooks CRUD routes
+router.post('/', validate(createNotebookSchema), notebooksController.createNotebook);
+router.get('/', notebooksController.getNotebooks);
+router.get('/:id', validate(objectIdParamSchema), notebooksController.getNotebookById);
+router.patch('/:id', validate(updateNotebookSchema), notebooksController.updateNotebook);
+router.delete('/:id', validate(deleteNotebookSchema), notebooksController.deleteNotebook);
+
+module.exports = router;
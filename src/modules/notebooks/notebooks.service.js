@@ -0,0 +1,99 @@
+const createError = require('http-errors');
+const Notebook = require('../../models/Notebook.model');
+
+/**
+ * Notebook helpers used by the notes module
+ */
+
+/**
+ * Ensure a notebook exists and belongs to the user
+ * @param {Object} notebookId - Notebook ID
+ * @param {Object} ownerId - User ID
+ * @returns {Promise<Object>} Notebook document
+ */
+const findOwnedNotebook = async (notebookId, ownerId) => {
+    const notebook = await Notebook.findOne({ _id: notebookId, ownerId });
+    if (!notebook) {
+        throw createError(404, 'Notebook not found');
+    }
+    return notebook;
+};
+
+/**
+ * Build the notebookId filter for listing notes
+ * @param {Object} ownerId - User ID
+ * @param {string} notebookId - Notebook ID, or "none" for unfiled notes
+ * @param {boolean} includeSubNotebooks - Also match notes in nested notebooks
+ * @returns {Promise<Object>} Value for the notebookId query field
+ */
+const buildNotebookFilter = async (ownerId, notebookId, includeSubNotebooks = false) => {
+    if (notebookId === 'none') {
+        return null;
+    }
+
+    const notebook = await findOwnedNotebook(notebookId, ownerId);
+    if (!includeSubNotebooks) {
+        return notebook._id;
+    }
+
+    const descendants = await Notebook.find({ ownerId, ancestors: notebook._id }).select('_id').lean();
+    return { $in: [notebook._id, ...descendants.map(descendant => descendant._id)] };
+};
+
+/**
+ * Find or create the notebooks along a path of names
+ * With dryRun, missing notebooks are only validated, not saved: the returned
+ * notebook may be unsaved (isNew)
+ * @param {Object} ownerId - User ID
+ * @param {Array} names - Notebook names from the top level down
+ * @param {Map} cache - Path -> notebook, shared between calls of one import
+ * @param {Object} options - { dryRun }
+ * @returns {Promise<Object>} Innermost notebook
+ * @throws {HttpError} 400 when the path is too deep or a name is invalid
+ */
+const ensureNotebookPath = async (ownerId, names, cache = new Map(), { dryRun = false } = {}) => {
+    if (names.length > Notebook.MAX_DEPTH) {
+        throw createError(400, `Notebooks cannot be nested more than ${Notebook.MAX_DEPTH} levels deep`);
+    }
+
+    let parent = null;
+    for (let depth = 1; depth <= names.length; depth++) {
+        const key = JSON.stringify(names.slice(0, depth));
+
+        if (!cache.has(key)) {
+            const name = names[depth - 1];
+            const parentId = parent ? parent._id : null;
+
+            // Nothing can exist yet under a notebook that wasn't saved
+            let notebook = parent && parent.isNew ? null : await Notebook.findOne({ ownerId, parentId, name });
+
+            if (!notebook) {
+                notebook = new Notebook({
+                    name,
+                    ownerId,
+                    parentId,
+                    ancestors: parent ? [...parent.ancestors, parent._id] : []
+                });
+
+                const validationError = notebook.validateSync();
+                if (validationError) {
+                    throw createError(400, Object.values(validationError.errors)[0].message);
+                }
+                if (!dryRun) {
+                    await notebook.save();
+                }
+            }
+            cache.set(key, notebook);
+        }
+
+        parent = cache.get(key);
+    }
+
+    return parent;
+};
+
+module.exports = {
+    findOwnedNotebook,
+    buildNotebookFilter,
+    ensureNotebookPath
+};
@@ -1,20 +1,100 @@
+const crypto = require('crypto');
+const path = require('path');
 const createError = require('http-errors');
 const { graphql } = require('graphql');
 const Note = require('../../models/Note.model');
+const User = require('../../models/User.model');
+const NoteRevision = require('../../models/NoteRevision.model');
+const Attachment = require('../../models/Attachment.model');
 const notesSchema = require('./notes.graphql');
+const {
+    TRASH_RETENTION_DAYS,
+    DEFAULT_RELATED_LIMIT,
+    TITLE_COLLATION,
+    saveRevision,
+    updateNoteWithHistory,
+    noteSortKeys,
+    buildStateFilter,
+    updateNoteState,
+    reorderNotes,
+    moveNotes,
+    trashNote,
+    restoreNoteFromTrash,
+    deleteAttachments,
+    purgeNotes,
+    formatSummary,
+    refreshSummary,
+    findRelatedNotes
+} = require('./notes.service');
+const { findOwnedNotebook } = require('../notebooks/notebooks.service');
+const { formatReminder, findActiveReminder } = require('../reminders/reminders.service');
+const { storage } = require('../../storage/storage');
+const { diffLines } = require('../../utils/diff');
+const { highlight } = require('../../utils/search');
+const { renderContent, toPlainText } = require('../../utils/markdown');
+const { analyzeNote } = require('../../utils/summarize');
+const { buildTermVector } = require('../../utils/similarity');
+
+// HTTP status for typed GraphQL errors (see createGraphQLError)
+const GRAPHQL_ERROR_STATUS = {
+    UNAUTHENTICATED: 401,
+    FORBIDDEN: 403,
+    NOT_FOUND: 404,
+    BAD_USER_INPUT: 400,
+    INTERNAL_SERVER_ERROR: 500
+};
+
+/**
+ * Parse a comma-separated tags query parameter
+ * @param {string} tags - Tags list, e.g. "work,ideas"
+ * @returns {Array<string>|undefined} Normalized, de-duplicated tags
+ */
+const parseTags = (tags) => {
+    if (!tags) return undefined;
+
+    const parsed = tags.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean);
+    return parsed.length ? [...new Set(parsed)] : undefined;
+};
+
+/**
+ * Parse a boolean query parameter, keeping it unset when omitted
+ * @param {string} value - "true", "false" or undefined
+ * @returns {boolean|undefined}
+ */
+const parseFlag = (value) => (value === undefined ? undefined : value === 'true');
+
+/**
+ * Format a revision for API responses
+ */
+const formatRevision = (revision, includeContent = true) => ({
+    id: revision._id,
+    title: revision.title,
+    ...(includeContent && { content: revision.content }),
+    format: revision.format || 'plain',
+    tags: revision.tags || [],
+    editedBy: revision.editedBy,
+    createdAt: revision.createdAt
+});
 
 /**
  * Create a new note
  */
 const createNote = async (req, res, next) => {
     try {
-        const { title, content } = req.body;
+        const { title, content, format, tags, notebookId } = req.body;
         const ownerId = req.user._id;
 
+        if (notebookId) {
+            await findOwnedNotebook(notebookId, ownerId);
+        }
+
         const note = new Note({
             title,
             content,
-            ownerId
+            format,
+            tags,
+            ownerId,
+            notebookId
         });
 
         await note.save();
@@ -29,28 +109,72 @@ const createNote = async (req, res, next) => {
     }
 };
 
+// Note fields returned by GET /api/notes
+const NOTE_LIST_FIELDS = `
+    id
+    title
+    content
+    format
+    tags
+    notebookId
+    pinned
+    archived
+    favorite
+    position
+    owner {
+        id
+        email
+        isVerified
+    }
+    permission
+    score
+    highlights {
+        title
+        content
+    }
+    createdAt
+    updatedAt
+`;
+
 /**
  * Get all notes for authenticated user using GraphQL
+ * Uses page/limit pagination, or cursor pagination when first/after are given
+ * Pinned notes come first; archived notes are hidden unless archived or includeArchived is set
  */
 const getNotes = async (req, res, next) => {
     try {
-        const { userId, title, createdFrom, createdTo, page, limit } = req.query;
+        const {
+            userId, shared, title, search, createdFrom, createdTo, page, limit, first, after, tags, tagMode,
+            notebookId, includeSubNotebooks, pinned, favorite, archived, includeArchived, sort
+        } = req.query;
+        const useCursor = first !== undefined || after !== undefined;
 
         // Build GraphQL query
-        const query = `
-            query GetNotes($userId: ID, $title: String, $createdFrom: String, $createdTo: String, $page: Int, $limit: Int) {
-                notes(userId: $userId, title: $title, createdFrom: $createdFrom, createdTo: $createdTo, page: $page, limit: $limit) {
-                    notes {
-                        id
-                        title
-                        content
-                        owner {
-                            id
-                            email
-                            isVerified
+        const filterVariables = '$userId: ID, $includeShared: Boolean, $title: String, $search: String, $createdFrom: String, $createdTo: String, $tags: [String], $tagMode: TagMode, $notebookId: ID, $includeSubNotebooks: Boolean, $pinned: Boolean, $favorite: Boolean, $archived: Boolean, $includeArchived: Boolean, $sort: NoteSort';
+        const filterArgs = 'userId: $userId, includeShared: $includeShared, title: $title, search: $search, createdFrom: $createdFrom, createdTo: $createdTo, tags: $tags, tagMode: $tagMode, notebookId: $notebookId, includeSubNotebooks: $includeSubNotebooks, pinned: $pinned, favorite: $favorite, archived: $archived, includeArchived: $includeArchived, sort: $sort';
+
+        const query = useCursor ? `
+            query GetNotes(${filterVariables}, $first: Int, $after: String) {
+                notesConnection(${filterArgs}, first: $first, after: $after) {
+                    edges {
+                        cursor
+                        node {
+                            ${NOTE_LIST_FIELDS}
                         }
-                        createdAt
-                        updatedAt
+                    }
+                    pageInfo {
+                        hasNextPage
+                        hasPreviousPage
+                        startCursor
+                        endCursor
+                    }
+                }
+            }
+        ` : `
+            query GetNotes(${filterVariables}, $page: Int, $limit: Int) {
+                notes(${filterArgs}, page: $page, limit: $limit) {
+                    notes {
+                        ${NOTE_LIST_FIELDS}
                     }
                     totalCount
                     currentPage
@@ -63,11 +187,27 @@ const getNotes = async (req, res, next) => {
 
         const variables = {
             userId,
+            includeShared: shared === 'true',
             title,
+            search,
             createdFrom,
             createdTo,
-            page: page ? parseInt(page) : 1,
-            limit: limit ? parseInt(limit) : 10
+            tags: parseTags(tags),
+            tagMode: tagMode ? tagMode.toUpperCase() : undefined,
+            notebookId,
+            includeSubNotebooks: includeSubNotebooks === 'true',
+            pinned: parseFlag(pinned),
+            favorite: parseFlag(favorite),
+            archived: parseFlag(archived),
+            includeArchived: includeArchived === 'true',
+            sort: sort ? sort.toUpperCase() : undefined,
+            ...(useCursor ? {
+                first: first ? parseInt(first) : 10,
+                after
+            } : {
+                page: page ? parseInt(page) : 1,
+                limit: limit ? parseInt(limit) : 10
+            })
         };
 
         const result = await graphql({
@@ -78,13 +218,25 @@ const getNotes = async (req, res, next) => {
         });
 
         if (result.errors) {
-            return next(createError(400, result.errors[0].message));
+            const { message, extensions = {} } = result.errors[0];
+            return next(createError(GRAPHQL_ERROR_STATUS[extensions.code] || 400, message));
         }
 
+        // REST responses use the lowercase format values of the model
+        const toRestNote = (note) => ({ ...note, format: note.format.toLowerCase() });
+
+        // Flatten edges so both modes return a notes array
+        const data = useCursor
+            ? {
+                notes: result.data.notesConnection.edges.map(({ cursor, node }) => ({ ...toRestNote(node), cursor })),
+                pageInfo: result.data.notesConnection.pageInfo
+            }
+            : { ...result.data.notes, notes: result.data.notes.notes.map(toRestNote) };
+
         res.json({
             success: true,
             message: 'Notes retrieved successfully',
-            data: result.data.notes
+            data
         });
     } catch (error) {
         next(error);
@@ -93,19 +245,16 @@ const getNotes = async (req, res, next) => {
 
 /**
  * Get note by ID with owner info
+ * ?html=true adds the content rendered to sanitized HTML
+ * Access is checked by requireNoteAccess('read')
  */
 const getNoteById = async (req, res, next) => {
     try {
-        const { id } = req.params;
-        const ownerId = req.user._id;
-
-        const note = await Note.findOne({ _id: id, ownerId })
-            .populate('ownerId', 'email isVerified')
-            .lean();
-
-        if (!note) {
-            return next(createError(404, 'Note not found'));
-        }
+        const note = await req.note.populate('ownerId', 'email isVerified');
+        const related = req.query.related === 'true'
+            ? await findRelatedNotes(note._id, req.user._id, DEFAULT_RELATED_LIMIT)
+            : null;
+        const reminder = await findActiveReminder(note._id, req.user._id);
 
         res.json({
             success: true,
@@ -114,11 +263,23 @@ const getNoteById = async (req, res, next) => {
                 id: note._id,
                 title: note.title,
                 content: note.content,
+                format: note.format,
+                ...(req.query.html === 'true' && { html: renderContent(note.content, note.format) }),
+                tags: note.tags || [],
+                notebookId: note.notebookId,
+                pinned: note.pinned,
+                archived: note.archived,
+                favorite: note.favorite,
+                position: note.position,
+                summary: formatSummary(note.summary),
+                ...(related && { related: related.map(formatRelatedNote) }),
+                reminder: reminder ? formatReminder(reminder) : null,
                 owner: {
                     id: note.ownerId._id,
                     email: note.ownerId.email,
                     isVerified: note.ownerId.isVerified
                 },
+                permission: req.notePermission,
                 createdAt: note.createdAt,
                 updatedAt: note.updatedAt
             }
@@ -130,18 +291,23 @@ const getNoteById = async (req, res, next) => {
 
 /**
  * Update note by ID
+ * Access is checked by requireNoteAccess('edit')
  */
 const updateNote = async (req, res, next) => {
     try {
-        const { id } = req.params;
-        const { title, content } = req.body;
-        const ownerId = req.user._id;
+        const { title, content, format, tags, notebookId } = req.body;
 
-        const note = await Note.findOneAndUpdate(
-            { _id: id, ownerId },
-            { title, content },
-            { new: true, runValidators: true }
-        );
+        // Notebooks are private to the owner, so only they can file the note
+        if (notebookId !== undefined) {
+            if (req.notePermission !== 'owner') {
+                return next(createError(403, 'Only the owner can move a note to another notebook'));
+            }
+            if (notebookId) {
+                await findOwnedNotebook(notebookId, req.user._id);
+            }
+        }
+
+        const note = await updateNoteWithHistory(req.note, { title, content, format, tags, notebookId }, req.user._id);
 
         if (!note) {
             return next(createError(404, 'Note not found'));
@@ -158,14 +324,40 @@ const updateNote = async (req, res, next) => {
 };
 
 /**
- * Delete note by ID
+ * Move several of the user's notes to a notebook (or unfile them with null)
  */
-const deleteNote = async (req, res, next) => {
+const moveNotesToNotebook = async (req, res, next) => {
     try {
-        const { id } = req.params;
+        const { noteIds, notebookId } = req.body;
         const ownerId = req.user._id;
 
-        const note = await Note.findOneAndDelete({ _id: id, ownerId });
+        if (notebookId) {
+            await findOwnedNotebook(notebookId, ownerId);
+        }
+
+        const movedCount = await moveNotes(noteIds, notebookId, ownerId);
+
+        res.json({
+            success: true,
+            message: `${movedCount} note(s) moved successfully`,
+            data: {
+                notebookId,
+                movedCount
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Pin, archive or favorite a note (or undo it)
+ * Access is checked by requireOwnership
+ */
+const setNoteState = async (req, res, next) => {
+    try {
+        const { pinned, archived, favorite } = req.body;
+        const note = await updateNoteState(req.note._id, req.user._id, { pinned, archived, favorite });
 
         if (!note) {
             return next(createError(404, 'Note not found'));
@@ -173,8 +365,59 @@ const deleteNote = async (req, res, next) => {
 
         res.json({
             success: true,
-            message: 'Note deleted successfully',
-            data: { id: note._id }
+            message: 'Note state updated successfully',
+            data: {
+                id: note._id,
+                pinned: note.pinned,
+                archived: note.archived,
+                favorite: note.favorite,
+                position: note.position
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Place several of the user's notes in the manual order (sort=manual), first to last,
+ * after the note afterId (or first)
+ */
+const setNotesOrder = async (req, res, next) => {
+    try {
+        const { noteIds, afterId } = req.body;
+        const orderedCount = await reorderNotes(noteIds, req.user._id, afterId || null);
+
+        res.json({
+            success: true,
+            message: `${orderedCount} note(s) ordered successfully`,
+            data: {
+                orderedCount
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Delete note by ID (move it to the trash)
+ * Access is checked by requireOwnership
+ */
+const deleteNote = async (req, res, next) => {
+    try {
+        const result = await trashNote(req.note._id, req.user._id);
+
+        if (!result) {
+            return next(createError(404, 'Note not found'));
+        }
+
+        const { note, deletedAt, purgeAt } = result;
+
+        res.json({
+            success: true,
+            message: `Note moved to trash. It will be permanently deleted after ${TRASH_RETENTION_DAYS} days.`,
+            data: { id: note._id, deletedAt, purgeAt }
         });
     } catch (error) {
         next(error);
@@ -182,29 +425,565 @@ const deleteNote = async (req, res, next) => {
 };
 
 /**
- * Search notes by title
+ * List notes in the trash
+ */
+const getTrash = async (req, res, next) => {
+    try {
+        const notes = await Note.find({ ownerId: req.user._id, deletedAt: { $ne: null } })
+            .sort({ deletedAt: -1 })
+            .lean();
+
+        res.json({
+            success: true,
+            message: 'Trash retrieved successfully',
+            data: notes.map(note => ({
+                id: note._id,
+                title: note.title,
+                content: note.content,
+                tags: note.tags || [],
+                deletedAt: note.deletedAt,
+                purgeAt: note.purgeAt
+            })),
+            count: notes.length
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Restore a note from the trash
+ * Access is checked by requireNoteAccess('owner', { inTrash: true })
+ */
+const restoreNote = async (req, res, next) => {
+    try {
+        const note = await restoreNoteFromTrash(req.note._id);
+
+        res.json({
+            success: true,
+            message: 'Note restored successfully',
+            data: note
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Permanently delete a note from the trash
+ * Access is checked by requireNoteAccess('owner', { inTrash: true })
+ */
+const purgeNote = async (req, res, next) => {
+    try {
+        await purgeNotes([req.note._id]);
+
+        res.json({
+            success: true,
+            message: 'Note permanently deleted',
+            data: { id: req.note._id }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Permanently delete every note in the trash
+ */
+const emptyTrash = async (req, res, next) => {
+    try {
+        const notes = await Note.find({ ownerId: req.user._id, deletedAt: { $ne: null } }).select('_id').lean();
+        const noteIds = notes.map(note => note._id);
+
+        await purgeNotes(noteIds);
+
+        res.json({
+            success: true,
+            message: 'Trash emptied successfully',
+            count: noteIds.length
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Full-text search over note titles and content
+ * Results are ranked by relevance (or by ?sort=) with pinned notes first, and include highlighted snippets
  */
 const searchNotes = async (req, res, next) => {
     try {
-        const { search } = req.query;
+        const { search, tags, tagMode, pinned, favorite, archived, includeArchived, sort } = req.query;
         const ownerId = req.user._id;
 
-        let query = { ownerId };
+        let query = {
+            ownerId,
+            deletedAt: null,
+            ...buildStateFilter({
+                pinned: parseFlag(pinned),
+                favorite: parseFlag(favorite),
+                archived: parseFlag(archived),
+                includeArchived: includeArchived === 'true'
+            })
+        };
 
+        // Supports "exact phrases" and -excluded terms
         if (search) {
             query.$text = { $search: search };
         }
 
-        const notes = await Note.find(query)
+        const tagList = parseTags(tags);
+        if (tagList) {
+            query.tags = tagMode === 'all' ? { $all: tagList } : { $in: tagList };
+        }
+
+        // Text search doesn't support collations, so titles are only compared case-insensitively without one
+        const findQuery = Note.find(query, search ? { score: { $meta: 'textScore' } } : {})
             .populate('ownerId', 'email isVerified')
-            .sort({ createdAt: -1 })
+            .sort(search && !sort
+                ? { pinned: -1, score: { $meta: 'textScore' }, createdAt: -1 }
+                : Object.fromEntries(noteSortKeys(sort)))
             .lean();
+        if (sort === 'title' && !search) findQuery.collation(TITLE_COLLATION);
+        const notes = await findQuery;
+
+        const results = search
+            ? notes.map(note => ({ ...note, highlights: highlight(note, search) }))
+            : notes;
 
         res.json({
             success: true,
             message: 'Search completed successfully',
-            data: notes,
-            count: notes.length
+            data: results,
+            count: results.length
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * List a note's revisions, newest first
+ * Access is checked by requireNoteAccess('read')
+ */
+const getRevisions = async (req, res, next) => {
+    try {
+        const revisions = await NoteRevision.find({ noteId: req.note._id })
+            .select('-content')
+            .sort({ createdAt: -1 })
+            .lean();
+
+        res.json({
+            success: true,
+            message: 'Revisions retrieved successfully',
+            data: revisions.map(revision => formatRevision(revision, false)),
+            count: revisions.length
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Get a single revision with its content
+ * Access is checked by requireNoteAccess('read')
+ */
+const getRevisionById = async (req, res, next) => {
+    try {
+        const revision = await NoteRevision.findOne({ _id: req.params.revisionId, noteId: req.note._id }).lean();
+
+        if (!revision) {
+            return next(createError(404, 'Revision not found'));
+        }
+
+        res.json({
+            success: true,
+            message: 'Revision retrieved successfully',
+            data: formatRevision(revision)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Diff two revisions of a note ("current" refers to the note itself)
+ * Access is checked by requireNoteAccess('read')
+ */
+const diffRevisions = async (req, res, next) => {
+    try {
+        const { from, to = 'current' } = req.query;
+
+        const loadVersion = async (versionId) => {
+            if (versionId === 'current') {
+                return { id: 'current', title: req.note.title, content: req.note.content, tags: req.note.tags, createdAt: req.note.updatedAt };
+            }
+
+            const revision = await NoteRevision.findOne({ _id: versionId, noteId: req.note._id }).lean();
+            return revision ? formatRevision(revision) : null;
+        };
+
+        const [fromVersion, toVersion] = await Promise.all([loadVersion(from), loadVersion(to)]);
+
+        if (!fromVersion || !toVersion) {
+            return next(createError(404, 'Revision not found'));
+        }
+
+        const fromTags = fromVersion.tags || [];
+        const toTags = toVersion.tags || [];
+
+        res.json({
+            success: true,
+            message: 'Diff computed successfully',
+            data: {
+                from: { id: fromVersion.id, createdAt: fromVersion.createdAt },
+                to: { id: toVersion.id, createdAt: toVersion.createdAt },
+                title: {
+                    changed: fromVersion.title !== toVersion.title,
+                    from: fromVersion.title,
+                    to: toVersion.title
+                },
+                content: diffLines(fromVersion.content, toVersion.content),
+                tags: {
+                    added: toTags.filter(tag => !fromTags.includes(tag)),
+                    removed: fromTags.filter(tag => !toTags.includes(tag))
+                }
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Format a result of findRelatedNotes for REST responses
+ */
+const formatRelatedNote = ({ note, score, matchedTerms }) => ({
+    id: note._id,
+    title: note.title,
+    score,
+    matchedTerms,
+    updatedAt: note.updatedAt
+});
+
+/**
+ * Get the user's notes most similar in content to a note
+ * Access is checked by requireNoteAccess('read')
+ */
+const getRelatedNotes = async (req, res, next) => {
+    try {
+        const limit = parseInt(req.query.limit) || DEFAULT_RELATED_LIMIT;
+        const related = await findRelatedNotes(req.note._id, req.user._id, limit);
+
+        res.json({
+            success: true,
+            message: 'Related notes retrieved successfully',
+            data: related.map(formatRelatedNote)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Recompute the summary, keywords and suggested tags of a note
+ * They are kept up to date on every change; this is for notes analyzed by an older version
+ * Access is checked by requireNoteAccess('edit')
+ */
+const recomputeSummary = async (req, res, next) => {
+    try {
+        const note = await refreshSummary(req.note);
+
+        res.json({
+            success: true,
+            message: 'Summary recomputed successfully',
+            data: {
+                id: note._id,
+                summary: formatSummary(note.summary)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Restore a note to an old revision
+ * The current state is kept as a new revision, so a restore can be undone
+ * Access is checked by requireNoteAccess('edit')
+ */
+const restoreRevision = async (req, res, next) => {
+    try {
+        const revision = await NoteRevision.findOne({ _id: req.params.revisionId, noteId: req.note._id }).lean();
+
+        if (!revision) {
+            return next(createError(404, 'Revision not found'));
+        }
+
+        await saveRevision(req.note, req.user._id);
+
+        // Revisions from before Markdown support are plain text
+        const format = revision.format || 'plain';
+        const plainText = toPlainText(revision.content, format);
+        const note = await Note.findByIdAndUpdate(
+            req.note._id,
+            {
+                title: revision.title,
+                content: revision.content,
+                format,
+                plainText,
+                tags: revision.tags,
+                summary: analyzeNote({ title: revision.title, plainText, tags: revision.tags }),
+                terms: buildTermVector({ title: revision.title, plainText })
+            },
+            { new: true, runValidators: true }
+        );
+
+        res.json({
+            success: true,
+            message: 'Note restored successfully',
+            data: note
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Format an attachment for API responses
+ */
+const formatAttachment = (attachment) => ({
+    id: attachment._id,
+    filename: attachment.filename,
+    mimeType: attachment.mimeType,
+    size: attachment.size,
+    uploadedBy: attachment.uploadedBy,
+    url: `/api/notes/${attachment.noteId}/attachments/${attachment._id}`,
+    createdAt: attachment.createdAt
+});
+
+/**
+ * Upload attachments to a note
+ * Access is checked by requireNoteAccess('edit')
+ */
+const uploadAttachments = async (req, res, next) => {
+    try {
+        const noteId = req.note._id;
+        const attachments = [];
+
+        for (const file of req.files) {
+            const storageKey = `attachments/${noteId}/${crypto.randomUUID()}${path.extname(file.originalname).toLowerCase()}`;
+            await storage.put(storageKey, file.buffer, { contentType: file.mimetype });
+
+            try {
+                attachments.push(await Attachment.create({
+                    noteId,
+                    uploadedBy: req.user._id,
+                    filename: file.originalname,
+                    mimeType: file.mimetype,
+                    size: file.size,
+                    storageKey
+                }));
+            } catch (error) {
+                // Don't leave an orphaned file behind
+                await storage.delete(storageKey);
+                throw error;
+            }
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Attachments uploaded successfully',
+            data: attachments.map(formatAttachment)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * List a note's attachments
+ * Access is checked by requireNoteAccess('read')
+ */
+const getAttachments = async (req, res, next) => {
+    try {
+        const attachments = await Attachment.find({ noteId: req.note._id })
+            .sort({ createdAt: 1 })
+            .lean();
+
+        res.json({
+            success: true,
+            message: 'Attachments retrieved successfully',
+            data: attachments.map(formatAttachment),
+            count: attachments.length
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Download an attachment
+ * Access is checked by requireNoteAccess('read')
+ */
+const downloadAttachment = async (req, res, next) => {
+    try {
+        const attachment = await Attachment.findOne({ _id: req.params.attachmentId, noteId: req.note._id }).lean();
+
+        if (!attachment) {
+            return next(createError(404, 'Attachment not found'));
+        }
+
+        const stream = await storage.getStream(attachment.storageKey);
+
+        res.attachment(attachment.filename);
+        res.type(attachment.mimeType);
+        res.set('Content-Length', attachment.size);
+
+        stream.on('error', next);
+        stream.pipe(res);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Delete an attachment
+ * Access is checked by requireNoteAccess('edit')
+ */
+const deleteAttachment = async (req, res, next) => {
+    try {
+        const count = await deleteAttachments({ _id: req.params.attachmentId, noteId: req.note._id });
+
+        if (!count) {
+            return next(createError(404, 'Attachment not found'));
+        }
+
+        res.json({
+            success: true,
+            message: 'Attachment deleted successfully',
+            data: { id: req.params.attachmentId }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Share a note with another user by email (or change the permission)
+ * Access is checked by requireOwnership
+ */
+const shareNote = async (req, res, next) => {
+    try {
+        const { email, permission = 'read' } = req.body;
+        const note = req.note;
+
+        const user = await User.findOne({ email });
+        if (!user) {
+            return next(createError(404, 'User not found'));
+        }
+
+        if (user._id.equals(note.ownerId)) {
+            return next(createError(400, 'You cannot share a note with yourself'));
+        }
+
+        const existingShare = note.shares.find(share => share.userId.equals(user._id));
+        if (existingShare) {
+            existingShare.permission = permission;
+        } else {
+            note.shares.push({ userId: user._id, permission });
+        }
+
+        await note.save();
+
+        res.status(existingShare ? 200 : 201).json({
+            success: true,
+            message: existingShare ? 'Share permission updated successfully' : 'Note shared successfully',
+            data: {
+                userId: user._id,
+                email: user.email,
+                permission
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * List the users a note is shared with
+ * Access is checked by requireOwnership
+ */
+const getShares = async (req, res, next) => {
+    try {
+        const note = await req.note.populate('shares.userId', 'email');
+
+        const shares = note.shares
+            .filter(share => share.userId) // Skip shares with deleted users
+            .map(share => ({
+                userId: share.userId._id,
+                email: share.userId.email,
+                permission: share.permission,
+                sharedAt: share.sharedAt
+            }));
+
+        res.json({
+            success: true,
+            message: 'Shares retrieved successfully',
+            data: shares
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Stop sharing a note with a user
+ * Access is checked by requireOwnership
+ */
+const removeShare = async (req, res, next) => {
+    try {
+        const { userId } = req.params;
+
+        const note = await Note.findOneAndUpdate(
+            { _id: req.note._id, 'shares.userId': userId },
+            { $pull: { shares: { userId } } },
+            { new: true }
+        );
+
+        if (!note) {
+            return next(createError(404, 'Share not found'));
+        }
+
+        res.json({
+            success: true,
+            message: 'Share removed successfully',
+            data: { id: note._id, userId }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * List the user's tags with note counts
+ */
+const getTags = async (req, res, next) => {
+    try {
+        const ownerId = req.user._id;
+
+        const tags = await Note.aggregate([
+            { $match: { ownerId, deletedAt: null } },
+            { $unwind: '$tags' },
+            { $group: { _id: '$tags', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+            { $project: { _id: 0, tag: '$_id', count: 1 } }
+        ]);
+
+        res.json({
+            success: true,
+            message: 'Tags retrieved successfully',
+            data: tags
         });
     } catch (error) {
         next(error);
@@ -216,6 +995,27 @@ module.exports = {
     getNotes,
     getNoteById,
     updateNote,
+    moveNotesToNotebook,
+    setNoteState,
+    setNotesOrder,
     deleteNote,
-    searchNotes
+    getTrash,
+    restoreNote,
+    purgeNote,
+    emptyTrash,
+    searchNotes,
+    getTags,
+    getRevisions,
+    getRevisionById,
+    diffRevisions,
+    restoreRevision,
+    recomputeSummary,
+    getRelatedNotes,
+    uploadAttachments,
+    getAttachments,
+    downloadAttachment,
+    deleteAttachment,
+    shareNote,
+    getShares,
+    removeShare
 };
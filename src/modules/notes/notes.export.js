@@ -0,0 +1,310 @@
+const { Readable } = require('stream');
+const { pipeline, finished } = require('stream/promises');
+const yazl = require('yazl');
+const Note = require('../../models/Note.model');
+const Notebook = require('../../models/Notebook.model');
+const Attachment = require('../../models/Attachment.model');
+const { storage } = require('../../storage/storage');
+const { toMarkdownFile, toSafeFilename } = require('../../utils/frontMatter');
+
+/**
+ * Export of notes as Markdown files, a JSON dump or a ZIP archive
+ * Account exports are streamed note by note so large accounts don't have to fit in memory
+ */
+
+// Version of the export format, checked by the importer
+const EXPORT_VERSION = 1;
+
+/**
+ * Map each notebook ID to its path of names from the top-level notebook
+ * @param {Array} notebooks - The user's notebooks (lean)
+ * @returns {Map} Notebook ID string -> array of names
+ */
+const buildNotebookPaths = (notebooks) => {
+    const names = new Map(notebooks.map(notebook => [String(notebook._id), notebook.name]));
+
+    return new Map(notebooks.map(notebook => [
+        String(notebook._id),
+        [...notebook.ancestors, notebook._id].map(id => names.get(String(id)))
+    ]));
+};
+
+/**
+ * Format a note for the JSON export and the Markdown front matter
+ * @param {Object} note - Note (lean) with its attachments
+ * @param {Map} notebookPaths - Result of buildNotebookPaths
+ * @returns {Object} Exported note
+ */
+const formatExportNote = (note, notebookPaths) => ({
+    id: note._id,
+    title: note.title,
+    content: note.content,
+    format: note.format || 'plain',
+    tags: note.tags || [],
+    notebookId: note.notebookId || null,
+    notebookPath: note.notebookId ? notebookPaths.get(String(note.notebookId)) || null : null,
+    shares: (note.shares || []).map(share => ({ userId: share.userId, permission: share.permission })),
+    attachments: (note.attachments || []).map(attachment => ({
+        id: attachment._id,
+        filename: attachment.filename,
+        mimeType: attachment.mimeType,
+        size: attachment.size
+    })),
+    createdAt: note.createdAt,
+    updatedAt: note.updatedAt,
+    deletedAt: note.deletedAt || null
+});
+
+/**
+ * Render an exported note as Markdown with front matter
+ * @param {Object} note - Result of formatExportNote
+ * @returns {string} File content
+ */
+const toNoteMarkdown = (note) => toMarkdownFile({
+    id: String(note.id),
+    title: note.title,
+    format: note.format,
+    tags: note.tags.length ? note.tags : undefined,
+    notebookPath: note.notebookPath,
+    attachments: note.attachments.length ? note.attachments.map(attachment => attachment.filename) : undefined,
+    createdAt: note.createdAt.toISOString(),
+    updatedAt: note.updatedAt.toISOString(),
+    deletedAt: note.deletedAt ? note.deletedAt.toISOString() : undefined
+}, note.content);
+
+/**
+ * Cursor over all of a user's notes (including the trash) with their attachments
+ * @param {Object} ownerId - User ID
+ * @returns {Object} Aggregation cursor
+ */
+const exportNotesCursor = (ownerId) => Note.aggregate([
+    { $match: { ownerId } },
+    { $sort: { createdAt: 1, _id: 1 } },
+    // Derived from content, so not worth exporting
+    { $project: { plainText: 0, summary: 0, terms: 0 } },
+    {
+        $lookup: {
+            from: Attachment.collection.name,
+            localField: '_id',
+            foreignField: 'noteId',
+            as: 'attachments'
+        }
+    }
+]).cursor();
+
+/**
+ * Account-level part of an export: profile and notebooks
+ * @param {Object} user - Current user
+ * @param {Array} notebooks - The user's notebooks (lean)
+ * @param {Map} notebookPaths - Result of buildNotebookPaths
+ * @returns {Object} Export header
+ */
+const buildExportHeader = (user, notebooks, notebookPaths) => ({
+    version: EXPORT_VERSION,
+    exportedAt: new Date(),
+    user: {
+        id: user._id,
+        email: user.email,
+        isVerified: user.isVerified,
+        createdAt: user.createdAt
+    },
+    notebooks: notebooks.map(notebook => ({
+        id: notebook._id,
+        name: notebook.name,
+        parentId: notebook.parentId,
+        path: notebookPaths.get(String(notebook._id)),
+        createdAt: notebook.createdAt,
+        updatedAt: notebook.updatedAt
+    }))
+});
+
+/**
+ * Write to a response, waiting for it to drain when its buffer is full
+ * (or to close, when the client goes away)
+ * @param {Object} res - Express response
+ * @param {string} chunk - Data to write
+ */
+const write = async (res, chunk) => {
+    if (res.write(chunk)) return;
+
+    await new Promise(resolve => {
+        const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+        };
+        res.once('drain', done);
+        res.once('close', done);
+    });
+};
+
+/**
+ * Date-stamped base name for export files
+ */
+const exportBaseName = () => `smart-notes-export-${new Date().toISOString().slice(0, 10)}`;
+
+/**
+ * Handle an error of an export that may already be streaming
+ * Once headers are sent the client can only be told by cutting the download short
+ */
+const handleExportError = (error, res, next) => {
+    if (!res.headersSent) {
+        return next(error);
+    }
+    console.error('Export failed:', error);
+    res.destroy();
+};
+
+/**
+ * Export a single note as a Markdown file with front matter
+ * Access is checked by requireNoteAccess('read')
+ */
+const exportNote = async (req, res, next) => {
+    try {
+        const note = req.note.toObject();
+        const isOwner = req.notePermission === 'owner';
+
+        // Notebooks are private to the owner
+        const [notebooks, attachments] = await Promise.all([
+            isOwner && note.notebookId ? Notebook.find({ ownerId: note.ownerId }).lean() : [],
+            Attachment.find({ noteId: note._id }).select('filename mimeType size').lean()
+        ]);
+
+        const exported = formatExportNote({ ...note, attachments }, buildNotebookPaths(notebooks));
+
+        res.attachment(`${toSafeFilename(note.title)}.md`);
+        res.type('text/markdown; charset=utf-8');
+        res.send(toNoteMarkdown(exported));
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Stream the account as JSON: profile, notebooks and notes with their metadata
+ */
+const exportJson = async (user, res) => {
+    const notebooks = await Notebook.find({ ownerId: user._id }).sort({ createdAt: 1 }).lean();
+    const notebookPaths = buildNotebookPaths(notebooks);
+
+    res.attachment(`${exportBaseName()}.json`);
+    res.type('application/json; charset=utf-8');
+
+    // Everything but the notes is small, so only the notes array is streamed
+    const header = JSON.stringify(buildExportHeader(user, notebooks, notebookPaths));
+    await write(res, `${header.slice(0, -1)},"notes":[`);
+
+    let first = true;
+    for await (const note of exportNotesCursor(user._id)) {
+        if (res.destroyed) break;
+
+        await write(res, (first ? '' : ',') + JSON.stringify(formatExportNote(note, notebookPaths)));
+        first = false;
+    }
+
+    res.end(']}');
+};
+
+/**
+ * Stream the account as a ZIP archive
+ * notes/ mirrors the notebook tree, trashed notes are in trash/, attachment
+ * files in attachments/<note id>/ and account.json holds the profile and notebooks
+ */
+const exportZip = async (user, res) => {
+    const notebooks = await Notebook.find({ ownerId: user._id }).sort({ createdAt: 1 }).lean();
+    const notebookPaths = buildNotebookPaths(notebooks);
+
+    const zip = new yazl.ZipFile();
+    const usedPaths = new Set();
+    let current = null;
+
+    res.attachment(`${exportBaseName()}.zip`);
+    res.type('application/zip');
+
+    // If the client goes away, stop the entry that is being written
+    const done = pipeline(zip.outputStream, res).catch(error => {
+        if (current) current.destroy();
+        throw error;
+    });
+    done.catch(() => {});
+
+    // Entries are added one at a time and only once the previous one was
+    // written out, so the archive never buffers more than one file
+    const addEntry = async (stream, name, mtime = new Date()) => {
+        current = stream;
+        zip.addReadStream(stream, name, { mtime });
+        await finished(stream);
+        current = null;
+    };
+
+    // Unique (case-insensitive) path for a note file
+    const uniquePath = (dir, title) => {
+        const base = `${dir}/${toSafeFilename(title)}`;
+        let candidate = `${base}.md`;
+        for (let i = 2; usedPaths.has(candidate.toLowerCase()); i++) {
+            candidate = `${base} (${i}).md`;
+        }
+        usedPaths.add(candidate.toLowerCase());
+        return candidate;
+    };
+
+    const notebookDir = (notebookId) => {
+        const names = notebookId && notebookPaths.get(String(notebookId));
+        return ['notes', ...(names || []).map(name => toSafeFilename(name))].join('/');
+    };
+
+    const header = buildExportHeader(user, notebooks, notebookPaths);
+    await addEntry(Readable.from([Buffer.from(JSON.stringify(header, null, 2))]), 'account.json');
+
+    // Keep empty notebooks in the archive
+    for (const notebook of notebooks) {
+        zip.addEmptyDirectory(`${notebookDir(notebook._id)}/`);
+    }
+
+    for await (const note of exportNotesCursor(user._id)) {
+        if (res.destroyed) break;
+
+        const exported = formatExportNote(note, notebookPaths);
+        const filePath = uniquePath(exported.deletedAt ? 'trash' : notebookDir(note.notebookId), note.title);
+        await addEntry(Readable.from([Buffer.from(toNoteMarkdown(exported))]), filePath, note.updatedAt);
+
+        for (const attachment of note.attachments) {
+            try {
+                const stream = await storage.getStream(attachment.storageKey);
+                await addEntry(
+                    stream,
+                    `attachments/${note._id}/${attachment._id}-${toSafeFilename(attachment.filename, 'file')}`,
+                    attachment.createdAt
+                );
+            } catch (error) {
+                // A missing file shouldn't break the whole export
+                if (error.status !== 404) throw error;
+                console.error(`Export: attachment ${attachment._id} is missing from storage`);
+            }
+        }
+    }
+
+    zip.end();
+    await done;
+};
+
+/**
+ * Export the user's whole account as JSON (default) or a ZIP of Markdown files
+ */
+const exportAccount = async (req, res, next) => {
+    try {
+        if (req.query.format === 'zip') {
+            await exportZip(req.user, res);
+        } else {
+            await exportJson(req.user, res);
+        }
+    } catch (error) {
+        handleExportError(error, res, next);
+    }
+};
+
+module.exports = {
+    EXPORT_VERSION,
+    exportNote,
+    exportAccount
+};
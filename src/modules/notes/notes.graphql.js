@@ -1,5 +1,278 @@
-const { GraphQLObjectType, GraphQLSchema, GraphQLString, GraphQLList, GraphQLInt, GraphQLID } = require('graphql');
+const {
+    GraphQLObjectType,
+    GraphQLSchema,
+    GraphQLString,
+    GraphQLList,
+    GraphQLInt,
+    GraphQLID,
+    GraphQLEnumType,
+    GraphQLBoolean,
+    GraphQLFloat,
+    GraphQLNonNull,
+    GraphQLInputObjectType,
+    GraphQLError
+} = require('graphql');
+const mongoose = require('mongoose');
 const Note = require('../../models/Note.model');
+const NoteRevision = require('../../models/NoteRevision.model');
+const { highlight } = require('../../utils/search');
+const { renderContent } = require('../../utils/markdown');
+const { createNoteSchema, updateNoteSchema, noteStateSchema, formatJoiError } = require('../../middleware/validation.middleware');
+const {
+    DEFAULT_RELATED_LIMIT,
+    DEFAULT_NOTE_SORT,
+    TITLE_COLLATION,
+    updateNoteWithHistory,
+    noteSortKeys,
+    buildStateFilter,
+    updateNoteState,
+    trashNote,
+    formatSummary,
+    loadRelatedCorpus,
+    findRelatedNotes
+} = require('./notes.service');
+const { findOwnedNotebook, buildNotebookFilter } = require('../notebooks/notebooks.service');
+
+/**
+ * Create a typed GraphQL error
+ * Clients can switch on extensions.code instead of parsing messages
+ * @param {string} message - Error message
+ * @param {string} code - UNAUTHENTICATED, FORBIDDEN, NOT_FOUND, BAD_USER_INPUT or INTERNAL_SERVER_ERROR
+ * @param {Object} extensions - Extra extension fields
+ * @returns {GraphQLError}
+ */
+const createGraphQLError = (message, code, extensions = {}) => new GraphQLError(message, {
+    extensions: { code, ...extensions }
+});
+
+/**
+ * Ensure the request is authenticated
+ * @param {Object} context - GraphQL context
+ * @returns {Object} Current user ID
+ */
+const requireUser = (context) => {
+    if (!context.user || !context.user._id) {
+        throw createGraphQLError('Authentication required', 'UNAUTHENTICATED');
+    }
+    return context.user._id;
+};
+
+/**
+ * Validate input against one of the REST Joi body schemas
+ * @param {Object} schema - Joi schema
+ * @param {Object} input - Input to validate
+ */
+const validateInput = (schema, input) => {
+    const { error } = schema.validate(input, { abortEarly: false });
+    if (error) {
+        const errors = formatJoiError(error, 'input');
+        throw createGraphQLError(errors[0].message, 'BAD_USER_INPUT', { errors });
+    }
+};
+
+/**
+ * Load an active note and check the user's permission on it
+ * Same rules as requireNoteAccess in the REST routes
+ * @param {string} id - Note ID
+ * @param {Object} userId - Current user ID
+ * @param {string} permission - Required permission: read, edit or owner
+ * @returns {Promise<Object>} { note, permission }
+ */
+const loadNoteWithAccess = async (id, userId, permission) => {
+    if (!mongoose.isValidObjectId(id)) {
+        throw createGraphQLError('Invalid note ID format', 'BAD_USER_INPUT');
+    }
+
+    const note = await Note.findOne({ _id: id, deletedAt: null });
+    const granted = note ? Note.getPermission(note, userId) : null;
+
+    if (!granted) {
+        throw createGraphQLError('Note not found', 'NOT_FOUND');
+    }
+
+    if (!Note.hasPermission(granted, permission)) {
+        throw createGraphQLError('You do not have permission to perform this action on this note', 'FORBIDDEN');
+    }
+
+    return { note, permission: granted };
+};
+
+/**
+ * Transform a note (lean or document, owner populated) for GraphQL responses
+ * @param {Object} note - Note
+ * @param {Object} currentUserId - Current user ID
+ * @param {string} searchText - Active search, if any
+ * @returns {Object} NoteType value
+ */
+const transformNote = (note, currentUserId, searchText) => {
+    // Check if ownerId is populated
+    if (!note.ownerId || !note.ownerId.email) {
+        throw new Error(`Note ${note._id} has no owner information`);
+    }
+
+    return {
+        id: note._id,
+        title: note.title,
+        content: note.content,
+        format: note.format || 'plain',
+        plainText: note.plainText || note.content,
+        tags: note.tags || [],
+        notebookId: note.notebookId || null,
+        pinned: !!note.pinned,
+        archived: !!note.archived,
+        favorite: !!note.favorite,
+        position: note.position || 0,
+        summary: formatSummary(note.summary),
+        owner: {
+            id: note.ownerId._id,
+            email: note.ownerId.email,
+            isVerified: note.ownerId.isVerified ? note.ownerId.isVerified.toString() : 'false'
+        },
+        permission: Note.getPermission(note, currentUserId),
+        score: searchText ? note.score : null,
+        highlights: searchText ? highlight(note, searchText) : null,
+        createdAt: note.createdAt.toISOString(),
+        updatedAt: note.updatedAt.toISOString()
+    };
+};
+
+// GraphQL error codes for HTTP errors thrown by shared services
+const HTTP_ERROR_CODES = {
+    400: 'BAD_USER_INPUT',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND'
+};
+
+/**
+ * Log unexpected resolver errors and hide their details from clients
+ * Typed errors are passed through unchanged
+ */
+const handleResolverError = (error, action) => {
+    if (error instanceof GraphQLError) {
+        throw error;
+    }
+    if (HTTP_ERROR_CODES[error.status]) {
+        throw createGraphQLError(error.message, HTTP_ERROR_CODES[error.status]);
+    }
+    console.error('GraphQL resolver error:', error);
+    throw createGraphQLError(`Failed to ${action}`, 'INTERNAL_SERVER_ERROR');
+};
+
+// Parse the value of a sort key read back from a cursor (undefined if invalid)
+const CURSOR_VALUE_PARSERS = {
+    pinned: (value) => (typeof value === 'boolean' ? value : undefined),
+    createdAt: (value) => (typeof value === 'string' && !isNaN(new Date(value).getTime()) ? new Date(value) : undefined),
+    updatedAt: (value) => (typeof value === 'string' && !isNaN(new Date(value).getTime()) ? new Date(value) : undefined),
+    title: (value) => (typeof value === 'string' ? value : undefined),
+    position: (value) => (typeof value === 'number' ? value : undefined),
+    _id: (value) => (mongoose.isValidObjectId(value) ? new mongoose.Types.ObjectId(value) : undefined)
+};
+
+/**
+ * Encode a note's position in a listing order as an opaque cursor
+ * @param {Object} note - Note
+ * @param {string} sort - Listing order (see NOTE_SORTS)
+ * @returns {string} Base64 cursor
+ */
+const encodeCursor = (note, sort) => Buffer.from(JSON.stringify({
+    sort,
+    values: noteSortKeys(sort).map(([field]) => note[field])
+})).toString('base64');
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Base64 cursor
+ * @param {string} sort - Listing order the cursor must belong to
+ * @returns {Array} Values of the sort keys
+ */
+const decodeCursor = (cursor, sort) => {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(cursor, 'base64').toString('utf8'));
+    } catch (error) {
+        decoded = null;
+    }
+
+    const keys = noteSortKeys(sort);
+    const values = decoded && decoded.sort === sort && Array.isArray(decoded.values) && decoded.values.length === keys.length
+        ? keys.map(([field], index) => CURSOR_VALUE_PARSERS[field](decoded.values[index]))
+        : [];
+
+    if (values.length !== keys.length || values.includes(undefined)) {
+        throw createGraphQLError('Invalid cursor', 'BAD_USER_INPUT');
+    }
+
+    return values;
+};
+
+/**
+ * Build the filter for the notes after a cursor (keyset pagination)
+ * Matches notes beyond the cursor on the first key, or equal on it and beyond on the next one, and so on
+ * @param {Array} keys - Sort keys (see noteSortKeys)
+ * @param {Array} values - Values of the keys at the cursor
+ * @returns {Object} MongoDB filter
+ */
+const buildSeekFilter = (keys, values) => ({
+    $or: keys.map(([field, direction], index) => ({
+        ...Object.fromEntries(keys.slice(0, index).map(([previousField], previousIndex) => [previousField, values[previousIndex]])),
+        [field]: { [direction === 1 ? '$gt' : '$lt']: values[index] }
+    }))
+});
+
+/**
+ * Build the MongoDB filter for the notes listing arguments
+ * @param {Object} args - Filter arguments shared by notes and notesConnection
+ * @param {Object} currentUserId - Current user ID
+ * @returns {Promise<Object>} { query, searchText }
+ */
+const buildNotesFilter = async (args, currentUserId) => {
+    const {
+        userId, includeShared, title, search, createdFrom, createdTo, tags, tagMode = 'any',
+        notebookId, includeSubNotebooks, pinned, favorite, archived, includeArchived
+    } = args;
+
+    // Build query
+    let query;
+    if (userId && userId !== currentUserId.toString()) {
+        query = { ownerId: userId, 'shares.userId': currentUserId };
+    } else if (includeShared) {
+        query = Note.accessFilter(currentUserId, 'read');
+    } else {
+        query = { ownerId: currentUserId };
+    }
+
+    // Never list notes that are in the trash
+    query.deletedAt = null;
+
+    // Archived notes are hidden unless asked for
+    Object.assign(query, buildStateFilter({ pinned, favorite, archived, includeArchived }));
+
+    // Apply filters
+    const searchText = search || title;
+    if (searchText) {
+        query.$text = { $search: searchText };
+    }
+
+    if (createdFrom || createdTo) {
+        query.createdAt = {};
+        if (createdFrom) query.createdAt.$gte = new Date(createdFrom);
+        if (createdTo) query.createdAt.$lte = new Date(createdTo);
+    }
+
+    if (tags && tags.length) {
+        const normalizedTags = tags.map(tag => tag.trim().toLowerCase());
+        query.tags = tagMode === 'all' ? { $all: normalizedTags } : { $in: normalizedTags };
+    }
+
+    if (notebookId) {
+        if (notebookId !== 'none' && !mongoose.isValidObjectId(notebookId)) {
+            throw createGraphQLError('Invalid notebook ID format', 'BAD_USER_INPUT');
+        }
+        query.notebookId = await buildNotebookFilter(currentUserId, notebookId, includeSubNotebooks);
+    }
+
+    return { query, searchText };
+};
 
 // User Type for owner info
 const UserType = new GraphQLObjectType({
@@ -11,16 +284,166 @@ const UserType = new GraphQLObjectType({
     }
 });
 
+// Content format of a note
+const ContentFormatType = new GraphQLEnumType({
+    name: 'ContentFormat',
+    values: {
+        PLAIN: { value: 'plain' },
+        MARKDOWN: { value: 'markdown' }
+    }
+});
+
+// Note Revision Type (snapshot of a previous version)
+const NoteRevisionType = new GraphQLObjectType({
+    name: 'NoteRevision',
+    fields: {
+        id: { type: GraphQLID },
+        title: { type: GraphQLString },
+        content: { type: GraphQLString },
+        format: { type: ContentFormatType },
+        tags: { type: new GraphQLList(GraphQLString) },
+        editedBy: { type: GraphQLID },
+        createdAt: { type: GraphQLString }
+    }
+});
+
+// Highlighted search matches (HTML-escaped, matches wrapped in <mark>)
+const HighlightsType = new GraphQLObjectType({
+    name: 'Highlights',
+    fields: {
+        title: { type: GraphQLString },
+        content: { type: new GraphQLList(GraphQLString) }
+    }
+});
+
+// Summary, keywords and suggested tags computed from the note
+const NoteSummaryType = new GraphQLObjectType({
+    name: 'NoteSummary',
+    fields: {
+        text: { type: GraphQLString }, // Extractive summary: the note's most representative sentences
+        keywords: { type: new GraphQLList(GraphQLString) },
+        suggestedTags: { type: new GraphQLList(GraphQLString) }, // Keywords the note isn't tagged with yet
+        generatedAt: {
+            type: GraphQLString,
+            resolve: (summary) => summary.generatedAt.toISOString()
+        }
+    }
+});
+
+// A note similar in content to another one
+const RelatedNoteType = new GraphQLObjectType({
+    name: 'RelatedNote',
+    fields: () => ({
+        note: { type: NoteType },
+        score: { type: GraphQLFloat }, // Cosine similarity, from 0 to 1
+        matchedTerms: { type: new GraphQLList(GraphQLString) } // Main terms both notes share (stemmed)
+    })
+});
+
 // Note Type
 const NoteType = new GraphQLObjectType({
     name: 'Note',
-    fields: {
+    fields: () => ({
         id: { type: GraphQLID },
         title: { type: GraphQLString },
         content: { type: GraphQLString },
+        format: { type: ContentFormatType },
+        html: {
+            type: GraphQLString, // Content rendered to sanitized HTML
+            resolve: (note) => renderContent(note.content, note.format)
+        },
+        plainText: { type: GraphQLString }, // Content without Markdown syntax
+        summary: { type: NoteSummaryType }, // Null until the note has been analyzed
+        tags: { type: new GraphQLList(GraphQLString) },
+        notebookId: { type: GraphQLID }, // Only meaningful to the owner, notebooks are private
+        pinned: { type: GraphQLBoolean }, // Flags and position are set by the owner
+        archived: { type: GraphQLBoolean },
+        favorite: { type: GraphQLBoolean },
+        position: { type: GraphQLInt }, // Place in the manual order, 0 if never placed
         owner: { type: UserType },
+        permission: { type: GraphQLString }, // owner, edit or read for the current user
+        score: { type: GraphQLFloat }, // Search relevance, only set when searching
+        highlights: { type: HighlightsType }, // Only set when searching
+        related: {
+            type: new GraphQLList(RelatedNoteType), // The current user's notes with similar content
+            args: {
+                limit: { type: GraphQLInt }
+            },
+            resolve: async (note, { limit = DEFAULT_RELATED_LIMIT }, context) => {
+                try {
+                    const currentUserId = requireUser(context);
+                    // Every note of a list page is ranked against the same notes: load them once per request
+                    if (!context.relatedCorpus) {
+                        context.relatedCorpus = loadRelatedCorpus(currentUserId);
+                    }
+                    const related = await findRelatedNotes(
+                        note.id,
+                        currentUserId,
+                        Math.min(Math.max(limit, 1), 20),
+                        await context.relatedCorpus
+                    );
+
+                    const notes = await Note.find({ _id: { $in: related.map(({ note }) => note._id) } })
+                        .populate('ownerId', 'email isVerified')
+                        .lean();
+                    const notesById = new Map(notes.map(relatedNote => [String(relatedNote._id), relatedNote]));
+
+                    return related
+                        .filter(({ note }) => notesById.has(String(note._id)))
+                        .map(({ note, score, matchedTerms }) => ({
+                            note: transformNote(notesById.get(String(note._id)), currentUserId),
+                            score,
+                            matchedTerms
+                        }));
+                } catch (error) {
+                    handleResolverError(error, 'fetch related notes');
+                }
+            }
+        },
+        revisions: {
+            type: new GraphQLList(NoteRevisionType),
+            args: {
+                limit: { type: GraphQLInt }
+            },
+            resolve: async (note, { limit = 20 }) => {
+                const revisions = await NoteRevision.find({ noteId: note.id })
+                    .sort({ createdAt: -1 })
+                    .limit(Math.min(Math.max(limit, 1), 100))
+                    .lean();
+
+                return revisions.map(revision => ({
+                    id: revision._id,
+                    title: revision.title,
+                    content: revision.content,
+                    format: revision.format || 'plain',
+                    tags: revision.tags || [],
+                    editedBy: revision.editedBy,
+                    createdAt: revision.createdAt.toISOString()
+                }));
+            }
+        },
         createdAt: { type: GraphQLString },
         updatedAt: { type: GraphQLString }
+    })
+});
+
+// How multiple tag filters are combined
+const TagModeType = new GraphQLEnumType({
+    name: 'TagMode',
+    values: {
+        ANY: { value: 'any' }, // Note has at least one of the tags
+        ALL: { value: 'all' }  // Note has every tag
+    }
+});
+
+// Order of note listings; pinned notes always come first
+const NoteSortType = new GraphQLEnumType({
+    name: 'NoteSort',
+    values: {
+        CREATED: { value: 'created' }, // Newest first (default)
+        UPDATED: { value: 'updated' }, // Most recently edited first
+        TITLE: { value: 'title' },     // A to Z, case-insensitive
+        MANUAL: { value: 'manual' }    // The owner's order, unplaced notes first
     }
 });
 
@@ -32,11 +455,74 @@ const PaginatedNotesType = new GraphQLObjectType({
         totalCount: { type: GraphQLInt },
         currentPage: { type: GraphQLInt },
         totalPages: { type: GraphQLInt },
-        hasNextPage: { type: GraphQLString },
-        hasPrevPage: { type: GraphQLString }
+        hasNextPage: { type: GraphQLBoolean },
+        hasPrevPage: { type: GraphQLBoolean }
+    }
+});
+
+// Relay-style connection types for cursor pagination
+const NoteEdgeType = new GraphQLObjectType({
+    name: 'NoteEdge',
+    fields: {
+        cursor: { type: GraphQLString },
+        node: { type: NoteType }
     }
 });
 
+const PageInfoType = new GraphQLObjectType({
+    name: 'PageInfo',
+    fields: {
+        hasNextPage: { type: GraphQLBoolean },
+        hasPreviousPage: { type: GraphQLBoolean },
+        startCursor: { type: GraphQLString },
+        endCursor: { type: GraphQLString }
+    }
+});
+
+const NoteConnectionType = new GraphQLObjectType({
+    name: 'NoteConnection',
+    fields: {
+        edges: { type: new GraphQLList(NoteEdgeType) },
+        pageInfo: { type: PageInfoType }
+    }
+});
+
+// Filter arguments shared by notes and notesConnection
+const noteFilterArgs = {
+    userId: { type: GraphQLID }, // Notes of this owner shared with the current user
+    includeShared: { type: GraphQLBoolean }, // Own notes plus notes shared with the current user
+    title: { type: GraphQLString }, // Deprecated alias of search
+    search: { type: GraphQLString }, // Full-text search over title and content
+    createdFrom: { type: GraphQLString },
+    createdTo: { type: GraphQLString },
+    tags: { type: new GraphQLList(GraphQLString) },
+    tagMode: { type: TagModeType },
+    notebookId: { type: GraphQLID }, // Notebook ID, or "none" for unfiled notes
+    includeSubNotebooks: { type: GraphQLBoolean }, // Also list notes of nested notebooks
+    pinned: { type: GraphQLBoolean },
+    favorite: { type: GraphQLBoolean },
+    archived: { type: GraphQLBoolean }, // true: only archived notes (hidden by default)
+    includeArchived: { type: GraphQLBoolean }, // Archived and other notes together
+    sort: { type: NoteSortType } // Relevance when searching and not set, else CREATED
+};
+
+/**
+ * Sort of a note listing
+ * Title sorting is case-insensitive, except when searching: text search doesn't support collations
+ * @param {string} sort - Listing order, if given
+ * @param {string} searchText - Active search, if any
+ * @returns {Object} { sort, collation }
+ */
+const buildNotesSort = (sort, searchText) => {
+    if (searchText && !sort) {
+        return { sort: { pinned: -1, score: { $meta: 'textScore' }, createdAt: -1, _id: -1 } };
+    }
+    return {
+        sort: Object.fromEntries(noteSortKeys(sort || DEFAULT_NOTE_SORT)),
+        collation: sort === 'title' && !searchText ? TITLE_COLLATION : undefined
+    };
+};
+
 // Root Query
 const RootQuery = new GraphQLObjectType({
     name: 'RootQueryType',
@@ -44,36 +530,17 @@ const RootQuery = new GraphQLObjectType({
         notes: {
             type: PaginatedNotesType,
             args: {
-                userId: { type: GraphQLID },
-                title: { type: GraphQLString },
-                createdFrom: { type: GraphQLString },
-                createdTo: { type: GraphQLString },
+                ...noteFilterArgs,
                 page: { type: GraphQLInt },
                 limit: { type: GraphQLInt }
             },
             resolve: async (parent, args, context) => {
                 try {
                     // Check if user is authenticated
-                    if (!context.user || !context.user._id) {
-                        throw new Error('Authentication required');
-                    }
-
-                    const { userId, title, createdFrom, createdTo, page = 1, limit = 10 } = args;
-                    const currentUserId = context.user._id;
+                    const currentUserId = requireUser(context);
 
-                    // Build query
-                    let query = { ownerId: currentUserId };
-
-                    // Apply filters
-                    if (title) {
-                        query.$text = { $search: title };
-                    }
-
-                    if (createdFrom || createdTo) {
-                        query.createdAt = {};
-                        if (createdFrom) query.createdAt.$gte = new Date(createdFrom);
-                        if (createdTo) query.createdAt.$lte = new Date(createdTo);
-                    }
+                    const { page = 1, limit = 10 } = args;
+                    const { query, searchText } = await buildNotesFilter(args, currentUserId);
 
                     // Calculate pagination
                     const skip = (page - 1) * limit;
@@ -83,45 +550,272 @@ const RootQuery = new GraphQLObjectType({
                     const totalPages = Math.ceil(totalCount / limit);
 
                     // Get notes with owner info (use lean for better performance)
-                    const notes = await Note.find(query)
+                    // Rank by relevance when searching, unless a sort is given
+                    const { sort, collation } = buildNotesSort(args.sort, searchText);
+                    const findQuery = Note.find(query, searchText ? { score: { $meta: 'textScore' } } : {})
                         .populate('ownerId', 'email isVerified')
-                        .sort({ createdAt: -1 })
+                        .sort(sort)
                         .skip(skip)
                         .limit(limit)
                         .lean();
+                    if (collation) findQuery.collation(collation);
+                    const notes = await findQuery;
 
                     // Transform data for GraphQL response with null checks
-                    const transformedNotes = notes.map(note => {
-                        // Check if ownerId is populated
-                        if (!note.ownerId) {
-                            throw new Error(`Note ${note._id} has no owner information`);
-                        }
-
-                        return {
-                            id: note._id,
-                            title: note.title,
-                            content: note.content,
-                            owner: {
-                                id: note.ownerId._id,
-                                email: note.ownerId.email,
-                                isVerified: note.ownerId.isVerified ? note.ownerId.isVerified.toString() : 'false'
-                            },
-                            createdAt: note.createdAt.toISOString(),
-                            updatedAt: note.updatedAt.toISOString()
-                        };
-                    });
+                    const transformedNotes = notes.map(note => transformNote(note, currentUserId, searchText));
 
                     return {
                         notes: transformedNotes,
                         totalCount,
                         currentPage: page,
                         totalPages,
-                        hasNextPage: (page < totalPages).toString(),
-                        hasPrevPage: (page > 1).toString()
+                        hasNextPage: page < totalPages,
+                        hasPrevPage: page > 1
+                    };
+                } catch (error) {
+                    handleResolverError(error, 'fetch notes');
+                }
+            }
+        },
+        notesConnection: {
+            type: NoteConnectionType,
+            args: {
+                ...noteFilterArgs,
+                first: { type: GraphQLInt },
+                after: { type: GraphQLString }
+            },
+            resolve: async (parent, args, context) => {
+                try {
+                    const currentUserId = requireUser(context);
+
+                    const { first = 10, after } = args;
+                    if (first < 1 || first > 100) {
+                        throw createGraphQLError('first must be between 1 and 100', 'BAD_USER_INPUT');
+                    }
+
+                    const { query, searchText } = await buildNotesFilter(args, currentUserId);
+
+                    // Cursor order never ranks by relevance (scores can't be seeked past),
+                    // so it is newest first unless a sort is given, also when searching
+                    const sortName = args.sort || DEFAULT_NOTE_SORT;
+                    const { sort, collation } = buildNotesSort(sortName, searchText);
+
+                    // Seek past the cursor instead of skipping, so deep pages stay fast
+                    if (after) {
+                        query.$and = [buildSeekFilter(noteSortKeys(sortName), decodeCursor(after, sortName))];
+                    }
+
+                    // Fetch one extra note to know whether there is a next page
+                    const findQuery = Note.find(query, searchText ? { score: { $meta: 'textScore' } } : {})
+                        .populate('ownerId', 'email isVerified')
+                        .sort(sort)
+                        .limit(first + 1)
+                        .lean();
+                    if (collation) findQuery.collation(collation);
+                    const notes = await findQuery;
+
+                    const hasNextPage = notes.length > first;
+                    const edges = notes.slice(0, first).map(note => ({
+                        cursor: encodeCursor(note, sortName),
+                        node: transformNote(note, currentUserId, searchText)
+                    }));
+
+                    return {
+                        edges,
+                        pageInfo: {
+                            hasNextPage,
+                            hasPreviousPage: !!after,
+                            startCursor: edges.length ? edges[0].cursor : null,
+                            endCursor: edges.length ? edges[edges.length - 1].cursor : null
+                        }
+                    };
+                } catch (error) {
+                    handleResolverError(error, 'fetch notes');
+                }
+            }
+        },
+        note: {
+            type: NoteType,
+            args: {
+                id: { type: new GraphQLNonNull(GraphQLID) }
+            },
+            resolve: async (parent, { id }, context) => {
+                try {
+                    const currentUserId = requireUser(context);
+                    const { note } = await loadNoteWithAccess(id, currentUserId, 'read');
+
+                    await note.populate('ownerId', 'email isVerified');
+                    return transformNote(note, currentUserId);
+                } catch (error) {
+                    handleResolverError(error, 'fetch note');
+                }
+            }
+        }
+    }
+});
+
+// Input for creating notes (validated with createNoteSchema)
+const CreateNoteInputType = new GraphQLInputObjectType({
+    name: 'CreateNoteInput',
+    fields: {
+        title: { type: new GraphQLNonNull(GraphQLString) },
+        content: { type: new GraphQLNonNull(GraphQLString) },
+        format: { type: ContentFormatType },
+        tags: { type: new GraphQLList(new GraphQLNonNull(GraphQLString)) },
+        notebookId: { type: GraphQLID }
+    }
+});
+
+// Input for updating notes (validated with updateNoteSchema)
+const UpdateNoteInputType = new GraphQLInputObjectType({
+    name: 'UpdateNoteInput',
+    fields: {
+        title: { type: GraphQLString },
+        content: { type: GraphQLString },
+        format: { type: ContentFormatType },
+        tags: { type: new GraphQLList(new GraphQLNonNull(GraphQLString)) },
+        notebookId: { type: GraphQLID }
+    }
+});
+
+// Input for setting the flags of a note (validated with noteStateSchema)
+const NoteStateInputType = new GraphQLInputObjectType({
+    name: 'NoteStateInput',
+    fields: {
+        pinned: { type: GraphQLBoolean },
+        archived: { type: GraphQLBoolean },
+        favorite: { type: GraphQLBoolean }
+    }
+});
+
+// Result of moving a note to the trash
+const DeleteNotePayloadType = new GraphQLObjectType({
+    name: 'DeleteNotePayload',
+    fields: {
+        id: { type: GraphQLID },
+        deletedAt: { type: GraphQLString },
+        purgeAt: { type: GraphQLString }
+    }
+});
+
+// Root Mutation
+const RootMutation = new GraphQLObjectType({
+    name: 'RootMutationType',
+    fields: {
+        createNote: {
+            type: NoteType,
+            args: {
+                input: { type: new GraphQLNonNull(CreateNoteInputType) }
+            },
+            resolve: async (parent, { input }, context) => {
+                try {
+                    const currentUserId = requireUser(context);
+                    const { title, content, format, tags, notebookId } = input;
+
+                    validateInput(createNoteSchema.body, { title, content, format, tags, notebookId });
+
+                    if (notebookId) {
+                        await findOwnedNotebook(notebookId, currentUserId);
+                    }
+
+                    const note = await Note.create({ title, content, format, tags, notebookId, ownerId: currentUserId });
+
+                    await note.populate('ownerId', 'email isVerified');
+                    return transformNote(note, currentUserId);
+                } catch (error) {
+                    handleResolverError(error, 'create note');
+                }
+            }
+        },
+        updateNote: {
+            type: NoteType,
+            args: {
+                id: { type: new GraphQLNonNull(GraphQLID) },
+                input: { type: new GraphQLNonNull(UpdateNoteInputType) }
+            },
+            resolve: async (parent, { id, input }, context) => {
+                try {
+                    const currentUserId = requireUser(context);
+                    const { title, content, format, tags, notebookId } = input;
+
+                    // Drop omitted fields so .min(1) sees only what was sent
+                    const changes = Object.fromEntries(
+                        Object.entries({ title, content, format, tags, notebookId }).filter(([, value]) => value !== undefined)
+                    );
+                    validateInput(updateNoteSchema.body, changes);
+
+                    const { note: current, permission } = await loadNoteWithAccess(id, currentUserId, 'edit');
+
+                    // Same rule as the REST route: only the owner files the note
+                    if (notebookId !== undefined) {
+                        if (permission !== 'owner') {
+                            throw createGraphQLError('Only the owner can move a note to another notebook', 'FORBIDDEN');
+                        }
+                        if (notebookId) {
+                            await findOwnedNotebook(notebookId, currentUserId);
+                        }
+                    }
+
+                    const note = await updateNoteWithHistory(current, changes, currentUserId);
+
+                    await note.populate('ownerId', 'email isVerified');
+                    return transformNote(note, currentUserId);
+                } catch (error) {
+                    handleResolverError(error, 'update note');
+                }
+            }
+        },
+        updateNoteState: {
+            type: NoteType,
+            args: {
+                id: { type: new GraphQLNonNull(GraphQLID) },
+                input: { type: new GraphQLNonNull(NoteStateInputType) }
+            },
+            resolve: async (parent, { id, input }, context) => {
+                try {
+                    const currentUserId = requireUser(context);
+
+                    // Drop omitted fields so .min(1) sees only what was sent
+                    const flags = Object.fromEntries(
+                        Object.entries(input).filter(([, value]) => value !== undefined && value !== null)
+                    );
+                    validateInput(noteStateSchema.body, flags);
+
+                    await loadNoteWithAccess(id, currentUserId, 'owner');
+                    const note = await updateNoteState(id, currentUserId, flags);
+                    if (!note) {
+                        throw createGraphQLError('Note not found', 'NOT_FOUND');
+                    }
+
+                    await note.populate('ownerId', 'email isVerified');
+                    return transformNote(note, currentUserId);
+                } catch (error) {
+                    handleResolverError(error, 'update note state');
+                }
+            }
+        },
+        deleteNote: {
+            type: DeleteNotePayloadType,
+            args: {
+                id: { type: new GraphQLNonNull(GraphQLID) }
+            },
+            resolve: async (parent, { id }, context) => {
+                try {
+                    const currentUserId = requireUser(context);
+                    await loadNoteWithAccess(id, currentUserId, 'owner');
+
+                    const result = await trashNote(id, currentUserId);
+                    if (!result) {
+                        throw createGraphQLError('Note not found', 'NOT_FOUND');
+                    }
+
+                    return {
+                        id: result.note._id,
+                        deletedAt: result.deletedAt.toISOString(),
+                        purgeAt: result.purgeAt.toISOString()
                     };
                 } catch (error) {
-                    console.error('GraphQL resolver error:', error);
-                    throw new Error(`Failed to fetch notes: ${error.message}`);
+                    handleResolverError(error, 'delete note');
                 }
             }
         }
@@ -129,5 +823,6 @@ const RootQuery = new GraphQLObjectType({
 });
 
 module.exports = new GraphQLSchema({
-    query: RootQuery
+    query: RootQuery,
+    mutation: RootMutation
 });
@@ -0,0 +1,341 @@
+const path = require('path');
+const createError = require('http-errors');
+const yauzl = require('yauzl');
+const Note = require('../../models/Note.model');
+const { createNoteSchema, formatJoiError } = require('../../middleware/validation.middleware');
+const { parseMarkdownFile } = require('../../utils/frontMatter');
+const { CONTENT_FORMATS, findFirstHeading } = require('../../utils/markdown');
+const { ensureNotebookPath } = require('../notebooks/notebooks.service');
+const { EXPORT_VERSION } = require('./notes.export');
+
+/**
+ * Import of notes from Markdown/text files, ZIP archives and JSON exports
+ * Every file (or JSON note) becomes one item of the report, so a bad file
+ * doesn't stop the rest of the import
+ */
+
+// Limits against huge or malicious archives
+const MAX_IMPORT_ITEMS = 1000;
+const MAX_ENTRY_SIZE = 5 * 1024 * 1024; // 5MB per file inside a ZIP
+const MAX_IMPORT_SIZE = 100 * 1024 * 1024; // 100MB of files per import, ZIP entries uncompressed
+
+// Same limit as createNoteSchema, for titles taken from headings and file names
+const MAX_TITLE_LENGTH = 200;
+
+const TEXT_EXTENSIONS = ['.md', '.markdown', '.txt'];
+
+/**
+ * Normalize tags from front matter: a list or a comma-separated string
+ */
+const normalizeTags = (tags) => {
+    if (typeof tags === 'string') {
+        tags = tags.split(',');
+    }
+    if (!Array.isArray(tags)) {
+        return undefined;
+    }
+    return tags.map(tag => String(tag).trim()).filter(Boolean);
+};
+
+/**
+ * Keep a notebook path only if it is a list of names
+ */
+const normalizeNotebookPath = (notebookPath) => {
+    if (!Array.isArray(notebookPath) || notebookPath.length === 0) {
+        return null;
+    }
+    const names = notebookPath.map(name => String(name).trim());
+    return names.every(Boolean) ? names : null;
+};
+
+/**
+ * Turn a Markdown or text file into an import item
+ * Title: front matter, then the first heading (Markdown only), then the file name
+ * @param {string} source - Where the file comes from, for the report
+ * @param {Buffer} buffer - File content
+ * @returns {Object} Import item
+ */
+const parseTextFile = (source, buffer) => {
+    const extension = path.extname(source).toLowerCase();
+    const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+
+    let parsed;
+    try {
+        parsed = parseMarkdownFile(text);
+    } catch (error) {
+        return { source, errors: [{ field: 'frontMatter', message: `Invalid front matter: ${error.message.split('\n')[0]}` }] };
+    }
+
+    const { metadata, body } = parsed;
+
+    // Notes that were in the trash when they were exported
+    if (metadata.deletedAt) {
+        return { source, title: metadata.title, skipReason: 'Note was in the trash' };
+    }
+
+    const format = CONTENT_FORMATS.includes(metadata.format)
+        ? metadata.format
+        : (extension === '.txt' ? 'plain' : 'markdown');
+
+    const title = typeof metadata.title === 'string' && metadata.title.trim()
+        ? metadata.title
+        : ((format === 'markdown' && findFirstHeading(body)) || path.basename(source, extension)).slice(0, MAX_TITLE_LENGTH);
+
+    return {
+        source,
+        title,
+        content: body,
+        format,
+        tags: normalizeTags(metadata.tags),
+        notebookPath: normalizeNotebookPath(metadata.notebookPath)
+    };
+};
+
+/**
+ * Turn a JSON export (see notes.export.js) into import items
+ * @param {string} source - File name
+ * @param {Buffer} buffer - File content
+ * @returns {Array} Import items
+ */
+const parseJsonExport = (source, buffer) => {
+    let data;
+    try {
+        data = JSON.parse(buffer.toString('utf8').replace(/^\uFEFF/, ''));
+    } catch (error) {
+        return [{ source, errors: [{ field: 'file', message: 'File is not valid JSON' }] }];
+    }
+
+    if (!data || !Array.isArray(data.notes) || typeof data.version !== 'number') {
+        return [{ source, errors: [{ field: 'file', message: 'File is not a Smart Note App JSON export' }] }];
+    }
+    if (data.version > EXPORT_VERSION) {
+        return [{ source, errors: [{ field: 'version', message: `Export version ${data.version} is not supported` }] }];
+    }
+
+    return data.notes.map((note, index) => {
+        const itemSource = `${source}#notes[${index}]`;
+
+        if (!note || typeof note !== 'object') {
+            return { source: itemSource, errors: [{ field: 'note', message: 'Note must be an object' }] };
+        }
+        if (note.deletedAt) {
+            return { source: itemSource, title: note.title, skipReason: 'Note was in the trash' };
+        }
+
+        return {
+            source: itemSource,
+            title: note.title,
+            content: note.content,
+            format: CONTENT_FORMATS.includes(note.format) ? note.format : 'plain',
+            tags: normalizeTags(note.tags),
+            notebookPath: normalizeNotebookPath(note.notebookPath)
+        };
+    });
+};
+
+/**
+ * Read the note files of a ZIP archive
+ * Folders and files other than .md/.txt are ignored; exported attachments
+ * and account.json are skipped silently
+ * @param {string} source - Archive name
+ * @param {Buffer} buffer - Archive content
+ * @param {Object} usage - { totalSize } of the import so far, increased by the entries read
+ * @returns {Promise<Array>} Import items
+ */
+const parseZip = (source, buffer, usage) => new Promise((resolve, reject) => {
+    yauzl.fromBuffer(buffer, { lazyEntries: true }, (error, zip) => {
+        if (error) {
+            return resolve([{ source, errors: [{ field: 'file', message: 'File is not a valid ZIP archive' }] }]);
+        }
+
+        const items = [];
+        let failed = false;
+
+        const fail = (message) => {
+            if (failed) return;
+            failed = true;
+            zip.close();
+            reject(createError(400, `${source}: ${message}`));
+        };
+
+        zip.on('error', () => fail('archive is corrupted'));
+        zip.on('end', () => resolve(items));
+        zip.on('entry', (entry) => {
+            const entrySource = `${source}/${entry.fileName}`;
+            const baseName = path.posix.basename(entry.fileName);
+            const extension = path.extname(baseName).toLowerCase();
+
+            const ignored = entry.fileName.endsWith('/')
+                || entry.fileName.startsWith('__MACOSX/')
+                || entry.fileName.startsWith('attachments/')
+                || entry.fileName === 'account.json'
+                || baseName.startsWith('.');
+            if (ignored) {
+                return zip.readEntry();
+            }
+
+            if (!TEXT_EXTENSIONS.includes(extension)) {
+                items.push({ source: entrySource, skipReason: 'Unsupported file type' });
+                return zip.readEntry();
+            }
+
+            if (entry.uncompressedSize > MAX_ENTRY_SIZE) {
+                items.push({ source: entrySource, errors: [{ field: 'file', message: 'File is larger than 5MB' }] });
+                return zip.readEntry();
+            }
+
+            usage.totalSize += entry.uncompressedSize;
+            if (usage.totalSize > MAX_IMPORT_SIZE) {
+                return fail('import is larger than 100MB uncompressed');
+            }
+
+            zip.openReadStream(entry, (streamError, stream) => {
+                if (streamError) {
+                    return fail('archive is corrupted');
+                }
+
+                const chunks = [];
+                stream.on('data', chunk => chunks.push(chunk));
+                stream.on('error', () => fail('archive is corrupted'));
+                stream.on('end', () => {
+                    items.push(parseTextFile(entrySource, Buffer.concat(chunks)));
+                    zip.readEntry();
+                });
+            });
+        });
+
+        zip.readEntry();
+    });
+});
+
+/**
+ * Turn the uploaded files into import items
+ * All items are held in memory, so the size is limited across the whole import
+ * @param {Array} files - Files from multer
+ * @returns {Promise<Array>} Import items
+ */
+const collectItems = async (files) => {
+    const items = [];
+    const usage = { totalSize: 0 };
+
+    for (const file of files) {
+        const extension = path.extname(file.originalname).toLowerCase();
+
+        // ZIP archives count their entries, uncompressed
+        if (extension !== '.zip') {
+            usage.totalSize += file.buffer.length;
+            if (usage.totalSize > MAX_IMPORT_SIZE) {
+                throw createError(400, `${file.originalname}: import is larger than 100MB uncompressed`);
+            }
+        }
+
+        if (extension === '.zip') {
+            items.push(...await parseZip(file.originalname, file.buffer, usage));
+        } else if (extension === '.json') {
+            items.push(...parseJsonExport(file.originalname, file.buffer));
+        } else {
+            items.push(parseTextFile(file.originalname, file.buffer));
+        }
+
+        if (items.length > MAX_IMPORT_ITEMS) {
+            throw createError(400, `An import can contain at most ${MAX_IMPORT_ITEMS} notes`);
+        }
+    }
+
+    return items;
+};
+
+/**
+ * Import notes from uploaded files
+ * ?dryRun=true validates everything and reports what would be created
+ */
+const importNotes = async (req, res, next) => {
+    try {
+        const dryRun = req.query.dryRun === 'true';
+        const ownerId = req.user._id;
+
+        const items = await collectItems(req.files);
+        const notebookCache = new Map();
+        const report = [];
+
+        for (const item of items) {
+            const { source, title, content, format, tags, notebookPath } = item;
+            const entry = { source, title: title ?? null };
+
+            if (item.skipReason) {
+                report.push({ ...entry, status: 'skipped', reason: item.skipReason });
+                continue;
+            }
+
+            if (item.errors) {
+                report.push({ ...entry, status: 'invalid', errors: item.errors });
+                continue;
+            }
+
+            // Same rules as creating a note through the API
+            const { error } = createNoteSchema.body.validate({ title, content, format, tags }, { abortEarly: false });
+            if (error) {
+                const errors = formatJoiError(error, 'note').map(({ field, message }) => ({ field, message }));
+                report.push({ ...entry, status: 'invalid', errors });
+                continue;
+            }
+
+            if (notebookPath) {
+                entry.notebookPath = notebookPath;
+            }
+
+            try {
+                // A dry run checks the notebook path too, without creating the notebooks
+                const notebook = notebookPath
+                    ? await ensureNotebookPath(ownerId, notebookPath, notebookCache, { dryRun })
+                    : null;
+
+                if (dryRun) {
+                    report.push({ ...entry, status: 'valid' });
+                    continue;
+                }
+
+                const note = await Note.create({
+                    title,
+                    content,
+                    format,
+                    tags,
+                    ownerId,
+                    notebookId: notebook ? notebook._id : null
+                });
+                report.push({ ...entry, status: 'created', noteId: note._id });
+            } catch (createNoteError) {
+                if (!createNoteError.status && createNoteError.name !== 'ValidationError') {
+                    throw createNoteError;
+                }
+                report.push({ ...entry, status: 'invalid', errors: [{ field: 'note', message: createNoteError.message }] });
+            }
+        }
+
+        const count = (status) => report.filter(item => item.status === status).length;
+        const summary = {
+            total: report.length,
+            [dryRun ? 'valid' : 'created']: count(dryRun ? 'valid' : 'created'),
+            invalid: count('invalid'),
+            skipped: count('skipped')
+        };
+
+        res.status(!dryRun && summary.created > 0 ? 201 : 200).json({
+            success: true,
+            message: dryRun
+                ? `Dry run: ${summary.valid} of ${summary.total} item(s) can be imported`
+                : `${summary.created} of ${summary.total} item(s) imported`,
+            data: {
+                dryRun,
+                summary,
+                items: report
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    importNotes
+};
@@ -2,27 +2,98 @@ const express = require('express');
 const router = express.Router();
 
 // Import middleware and controller
-const { authenticate, requireOwnership } = require('../../middleware/auth.middleware');
+const { authenticate, requireOwnership, requireNoteAccess, requireVerified } = require('../../middleware/auth.middleware');
 const { validate } = require('../../middleware/validation.middleware');
+const { handleAttachmentUpload, handleImportUpload } = require('../../middleware/upload.middleware');
 const {
     createNoteSchema,
     updateNoteSchema,
+    getNoteSchema,
     objectIdParamSchema,
-    searchNotesSchema
+    searchNotesSchema,
+    exportNotesSchema,
+    importNotesSchema,
+    moveNotesSchema,
+    noteStateSchema,
+    reorderNotesSchema,
+    shareNoteSchema,
+    removeShareSchema,
+    revisionParamSchema,
+    revisionDiffSchema,
+    relatedNotesSchema,
+    setReminderSchema,
+    attachmentParamSchema
 } = require('../../middleware/validation.middleware');
 const notesController = require('./notes.controller');
+const notesExport = require('./notes.export');
+const notesImport = require('./notes.import');
+const remindersController = require('../reminders/reminders.controller');
 
-// All routes require authentication
-router.use(authenticate);
+// All routes require authentication (and a verified email when enforced)
+router.use(authenticate, requireVerified);
 
 // Search notes (must be before /:id route)
 router.get('/search', validate(searchNotesSchema), notesController.searchNotes);
 
+// List tags with note counts (must be before /:id route)
+router.get('/tags', notesController.getTags);
+
+// Export the whole account as JSON or ZIP (must be before /:id routes)
+router.get('/export', validate(exportNotesSchema), notesExport.exportAccount);
+
+// Import notes from Markdown, text, ZIP or JSON export files
+router.post('/import', validate(importNotesSchema), handleImportUpload, notesImport.importNotes);
+
+// Move notes to a notebook (must be before /:id routes)
+router.patch('/move', validate(moveNotesSchema), notesController.moveNotesToNotebook);
+
+// Manual sort order of the user's notes (must be before /:id routes)
+router.put('/order', validate(reorderNotesSchema), notesController.setNotesOrder);
+
+// Trash routes (must be before /:id routes)
+router.get('/trash', notesController.getTrash);
+router.delete('/trash', notesController.emptyTrash);
+router.post('/trash/:id/restore', validate(objectIdParamSchema), requireNoteAccess('owner', { inTrash: true }), notesController.restoreNote);
+router.delete('/trash/:id', validate(objectIdParamSchema), requireNoteAccess('owner', { inTrash: true }), notesController.purgeNote);
+
 // Notes CRUD routes
 router.post('/', validate(createNoteSchema), notesController.createNote);
 router.get('/', validate(searchNotesSchema), notesController.getNotes);
-router.get('/:id', validate(objectIdParamSchema), notesController.getNoteById);
-router.put('/:id', validate(updateNoteSchema), notesController.updateNote);
-router.delete('/:id', validate(objectIdParamSchema), notesController.deleteNote);
+router.get('/:id', validate(getNoteSchema), requireNoteAccess('read'), notesController.getNoteById);
+router.put('/:id', validate(updateNoteSchema), requireNoteAccess('edit'), notesController.updateNote);
+router.delete('/:id', validate(objectIdParamSchema), requireOwnership, notesController.deleteNote);
+
+// Pin, archive and favorite (owner only)
+router.patch('/:id/state', validate(noteStateSchema), requireOwnership, notesController.setNoteState);
+
+// Export a single note as Markdown
+router.get('/:id/export', validate(objectIdParamSchema), requireNoteAccess('read'), notesExport.exportNote);
+
+// Notes with similar content
+router.get('/:id/related', validate(relatedNotesSchema), requireNoteAccess('read'), notesController.getRelatedNotes);
+
+// Recompute the summary, keywords and suggested tags
+router.post('/:id/summary', validate(objectIdParamSchema), requireNoteAccess('edit'), notesController.recomputeSummary);
+
+// Reminder of the current user (listed, snoozed and dismissed under /api/reminders)
+router.put('/:id/reminder', validate(setReminderSchema), requireNoteAccess('read'), remindersController.setNoteReminder);
+router.delete('/:id/reminder', validate(objectIdParamSchema), requireNoteAccess('read'), remindersController.deleteNoteReminder);
+
+// Revision history routes (diff must be before /:revisionId route)
+router.get('/:id/revisions', validate(objectIdParamSchema), requireNoteAccess('read'), notesController.getRevisions);
+router.get('/:id/revisions/diff', validate(revisionDiffSchema), requireNoteAccess('read'), notesController.diffRevisions);
+router.get('/:id/revisions/:revisionId', validate(revisionParamSchema), requireNoteAccess('read'), notesController.getRevisionById);
+router.post('/:id/revisions/:revisionId/restore', validate(revisionParamSchema), requireNoteAccess('edit'), notesController.restoreRevision);
+
+// Attachment routes
+router.get('/:id/attachments', validate(objectIdParamSchema), requireNoteAccess('read'), notesController.getAttachments);
+router.post('/:id/attachments', validate(objectIdParamSchema), requireNoteAccess('edit'), handleAttachmentUpload, notesController.uploadAttachments);
+router.get('/:id/attachments/:attachmentId', validate(attachmentParamSchema), requireNoteAccess('read'), notesController.downloadAttachment);
+router.delete('/:id/attachments/:attachmentId', validate(attachmentParamSchema), requireNoteAccess('edit'), notesController.deleteAttachment);
+
+// Sharing routes (owner only)
+router.get('/:id/shares', validate(objectIdParamSchema), requireOwnership, notesController.getShares);
+router.post('/:id/shares', validate(shareNoteSchema), requireOwnership, notesController.shareNote);
+router.delete('/:id/shares/:userId', validate(removeShareSchema), requireOwnership, notesController.removeShare);
 
 module.exports = router;
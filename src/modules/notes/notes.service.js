@@ -0,0 +1,502 @@
+const createError = require('http-errors');
+const Note = require('../../models/Note.model');
+const NoteRevision = require('../../models/NoteRevision.model');
+const Attachment = require('../../models/Attachment.model');
+const Notebook = require('../../models/Notebook.model');
+const Reminder = require('../../models/Reminder.model');
+const { storage } = require('../../storage/storage');
+const { toPlainText } = require('../../utils/markdown');
+const { ANALYSIS_VERSION, analyzeNote } = require('../../utils/summarize');
+const { buildTermVector, buildCorpus, rankRelated } = require('../../utils/similarity');
+
+/**
+ * Note operations shared by the REST controller and the GraphQL resolvers
+ */
+
+// How long trashed notes are kept before being purged automatically
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// Related notes returned when no limit is given
+const DEFAULT_RELATED_LIMIT = 5;
+
+// Orders of note listings (pinned notes always come first, see noteSortKeys)
+const NOTE_SORTS = {
+    created: [['createdAt', -1]],
+    updated: [['updatedAt', -1]],
+    title: [['title', 1]],
+    // Notes that were never placed (position 0) come first, newest first
+    manual: [['position', 1], ['createdAt', -1]]
+};
+const DEFAULT_NOTE_SORT = 'created';
+
+// Titles are sorted case-insensitively
+const TITLE_COLLATION = { locale: 'en', strength: 2 };
+
+/**
+ * Store a snapshot of the note's current state in its history
+ * @param {Object} note - Note document before it is changed
+ * @param {Object} userId - User making the change
+ */
+const saveRevision = (note, userId) => NoteRevision.create({
+    noteId: note._id,
+    title: note.title,
+    content: note.content,
+    format: note.format,
+    tags: note.tags,
+    editedBy: userId
+});
+
+/**
+ * Update a note, keeping its previous version in the history
+ * @param {Object} current - Note document as it is now
+ * @param {Object} changes - Fields to update (title, content, format, tags, notebookId)
+ * @param {Object} userId - User making the change
+ * @returns {Promise<Object|null>} Updated note
+ */
+const updateNoteWithHistory = async (current, { title, content, format, tags, notebookId }, userId) => {
+    // Keep the previous version unless the update changes nothing
+    // (moving a note to another notebook is not a new version)
+    const hasChanges = (title !== undefined && title.trim() !== current.title)
+        || (content !== undefined && content !== current.content)
+        || (format !== undefined && format !== current.format)
+        || (tags !== undefined && tags.map(tag => tag.trim().toLowerCase()).join(',') !== current.tags.join(','));
+
+    if (hasChanges) {
+        await saveRevision(current, userId);
+    }
+
+    // findByIdAndUpdate skips the save hook, so refresh plainText, the summary
+    // and the term counts here
+    const plainText = content !== undefined || format !== undefined
+        ? toPlainText(content ?? current.content, format ?? current.format)
+        : undefined;
+
+    const analyzed = {
+        title: title !== undefined ? title.trim() : current.title,
+        plainText: plainText ?? current.plainText,
+        tags: tags !== undefined ? tags.map(tag => tag.trim().toLowerCase()) : current.tags
+    };
+    const summary = hasChanges ? analyzeNote(analyzed) : undefined;
+    const terms = hasChanges ? buildTermVector(analyzed) : undefined;
+
+    return Note.findByIdAndUpdate(
+        current._id,
+        { title, content, format, plainText, tags, notebookId, summary, terms },
+        { new: true, runValidators: true }
+    );
+};
+
+/**
+ * Sort keys of a note listing: pinned notes first, then the chosen order,
+ * then _id so the order is total (cursor pagination relies on it)
+ * @param {string} sort - created, updated, title or manual
+ * @returns {Array} [[field, direction]]
+ */
+const noteSortKeys = (sort = DEFAULT_NOTE_SORT) => [['pinned', -1], ...NOTE_SORTS[sort], ['_id', -1]];
+
+/**
+ * Filter notes by their pinned, favorite and archived flags
+ * Archived notes are left out unless archived or includeArchived is set
+ * @param {Object} flags - { pinned, favorite, archived, includeArchived }, unset when null or undefined
+ * @returns {Object} MongoDB filter
+ */
+const buildStateFilter = ({ pinned, favorite, archived, includeArchived }) => {
+    const filter = {};
+    const match = (value) => (value ? true : { $ne: true });
+
+    if (pinned != null) filter.pinned = match(pinned);
+    if (favorite != null) filter.favorite = match(favorite);
+    if (archived != null) {
+        filter.archived = match(archived);
+    } else if (!includeArchived) {
+        filter.archived = { $ne: true };
+    }
+
+    return filter;
+};
+
+/**
+ * Set the pinned, archived and favorite flags of a note
+ * Doesn't count as an edit: no revision and updatedAt is kept
+ * @param {Object} noteId - Note ID
+ * @param {Object} ownerId - Owner ID
+ * @param {Object} flags - { pinned, archived, favorite }, omitted ones are kept
+ * @returns {Promise<Object|null>} Updated note
+ */
+const updateNoteState = (noteId, ownerId, { pinned, archived, favorite }) => Note.findOneAndUpdate(
+    { _id: noteId, ownerId, deletedAt: null },
+    { pinned, archived, favorite },
+    { new: true, timestamps: false }
+);
+
+/**
+ * Place notes of an owner in the manual order, in the given order, right after
+ * another note (or first). The owner's other notes keep their relative order
+ * and all of them are renumbered, so blocks placed one after another never collide.
+ * Trashed notes keep their place too, for when they are restored.
+ * Doesn't count as an edit: updatedAt is kept
+ * @param {Array} noteIds - IDs of the notes, first to last
+ * @param {Object} ownerId - Owner ID
+ * @param {Object|null} afterId - Note to place them after, null to place them first
+ * @returns {Promise<number>} Number of notes placed
+ * @throws {HttpError} 400 when afterId is one of the notes, 404 when it isn't an active note of the owner
+ */
+const reorderNotes = async (noteIds, ownerId, afterId = null) => {
+    const notes = await Note.find({ ownerId })
+        .select('position deletedAt')
+        .sort({ position: 1, createdAt: -1, _id: -1 })
+        .lean();
+    const notesById = new Map(notes.map(note => [String(note._id), note]));
+
+    const placed = noteIds.map(String).filter(id => notesById.has(id) && !notesById.get(id).deletedAt);
+    const placedIds = new Set(placed);
+    const others = notes.map(note => String(note._id)).filter(id => !placedIds.has(id));
+
+    let insertAt = 0;
+    if (afterId) {
+        if (noteIds.map(String).includes(String(afterId))) {
+            throw createError(400, 'A note cannot be placed after itself');
+        }
+        const anchor = notesById.get(String(afterId));
+        if (!anchor || anchor.deletedAt) {
+            throw createError(404, 'Note to place the others after not found');
+        }
+        insertAt = others.indexOf(String(afterId)) + 1;
+    }
+
+    const order = [...others.slice(0, insertAt), ...placed, ...others.slice(insertAt)];
+    const updates = order
+        .map((id, index) => ({ id, position: index + 1 }))
+        .filter(({ id, position }) => notesById.get(id).position !== position);
+
+    if (updates.length > 0) {
+        await Note.bulkWrite(
+            updates.map(({ id, position }) => ({
+                updateOne: {
+                    filter: { _id: id, ownerId },
+                    update: { $set: { position } },
+                    timestamps: false
+                }
+            })),
+            { ordered: false }
+        );
+    }
+
+    return placed.length;
+};
+
+/**
+ * Fill in the flags and position of notes created before they existed
+ * Listings compare these fields, so they must be set on every note
+ * @returns {Promise<number>} Number of notes updated
+ */
+const backfillNoteState = async () => {
+    const result = await Note.updateMany(
+        { pinned: { $exists: false } },
+        { $set: { pinned: false, archived: false, favorite: false, position: 0 } },
+        { timestamps: false }
+    );
+    return result.modifiedCount;
+};
+
+// Text indexes of earlier versions, replaced by the one defined on the Note model
+// (title only, then title and raw content)
+const LEGACY_TEXT_INDEXES = ['title_text', 'note_text_search'];
+
+/**
+ * Replace a text index of an earlier version with the current one
+ * MongoDB allows one text index per collection, so autoindexing can't build
+ * the new one while the old one exists (and the failure is silent)
+ * @returns {Promise<Array>} Names of the dropped indexes
+ */
+const migrateTextIndex = async () => {
+    let indexes;
+    try {
+        indexes = await Note.collection.indexes();
+    } catch (error) {
+        // New database: the collection doesn't exist yet
+        if (error.codeName === 'NamespaceNotFound') return [];
+        throw error;
+    }
+
+    const legacy = indexes.map(index => index.name).filter(name => LEGACY_TEXT_INDEXES.includes(name));
+    for (const name of legacy) {
+        await Note.collection.dropIndex(name);
+    }
+
+    if (legacy.length > 0) {
+        await Note.createIndexes();
+    }
+    return legacy;
+};
+
+/**
+ * Fill in format and plainText of notes created before Markdown support
+ * Their content is plain text, so it is copied as is
+ * @returns {Promise<number>} Number of notes updated
+ */
+const backfillPlainText = async () => {
+    const result = await Note.updateMany(
+        { plainText: { $exists: false } },
+        [{ $set: { plainText: '$content', format: { $ifNull: ['$format', 'plain'] } } }]
+    );
+    return result.modifiedCount;
+};
+
+/**
+ * Summary fields returned by the API
+ * @param {Object} summary - Stored summary of a note
+ * @returns {Object|null} Summary, null when the note hasn't been analyzed yet
+ */
+const formatSummary = (summary) => {
+    if (!summary || !summary.generatedAt) {
+        return null;
+    }
+
+    return {
+        text: summary.text,
+        keywords: summary.keywords,
+        suggestedTags: summary.suggestedTags,
+        generatedAt: summary.generatedAt
+    };
+};
+
+/**
+ * Recompute and store the summary and term counts of a note
+ * Derived data only, so updatedAt is left alone
+ * @param {Object} note - Note (title, plainText and tags are used)
+ * @returns {Promise<Object|null>} Updated note
+ */
+const refreshSummary = (note) => Note.findByIdAndUpdate(
+    note._id,
+    { summary: analyzeNote(note), terms: buildTermVector(note) },
+    { new: true, timestamps: false }
+);
+
+/**
+ * Compute summaries and term counts of notes that have none yet or ones from
+ * an older analysis
+ * Runs in batches so large collections don't have to fit in memory
+ * @returns {Promise<number>} Number of notes updated
+ */
+const backfillNoteAnalysis = async () => {
+    const BATCH_SIZE = 100;
+    const cursor = Note.find({ 'summary.version': { $not: { $gte: ANALYSIS_VERSION } } })
+        .select('title plainText tags')
+        .lean()
+        .cursor();
+
+    let batch = [];
+    let count = 0;
+
+    const flush = async () => {
+        if (batch.length === 0) return;
+        await Note.bulkWrite(batch, { timestamps: false });
+        count += batch.length;
+        batch = [];
+    };
+
+    for await (const note of cursor) {
+        batch.push({
+            updateOne: {
+                filter: { _id: note._id },
+                update: { summary: analyzeNote(note), terms: buildTermVector(note) },
+                timestamps: false
+            }
+        });
+        if (batch.length >= BATCH_SIZE) {
+            await flush();
+        }
+    }
+    await flush();
+
+    return count;
+};
+
+/**
+ * Load the notes related notes are picked from: the user's notes, trashed ones left out
+ * @param {Object} userId - User ID
+ * @returns {Promise<Object>} Corpus for findRelatedNotes
+ */
+const loadRelatedCorpus = async (userId) => buildCorpus(
+    await Note.find({ ownerId: userId, deletedAt: null }).select('title updatedAt terms').lean()
+);
+
+/**
+ * Find the user's notes most similar to a note
+ * Trashed notes are left out; the note may be one shared with the user
+ * @param {Object} noteId - Note ID
+ * @param {Object} userId - User whose notes are searched
+ * @param {number} limit - Maximum number of notes
+ * @param {Object} corpus - Result of loadRelatedCorpus, to reuse it for several notes
+ * @returns {Promise<Array>} [{ note: { _id, title, updatedAt }, score, matchedTerms }]
+ */
+const findRelatedNotes = async (noteId, userId, limit = DEFAULT_RELATED_LIMIT, corpus = null) => {
+    if (!corpus) {
+        corpus = await loadRelatedCorpus(userId);
+    }
+
+    // The user's own notes are in the corpus already
+    const target = corpus.ids.has(String(noteId))
+        ? corpus.notes.find(note => String(note._id) === String(noteId))
+        : await Note.findById(noteId).select('terms').lean();
+
+    if (!target) {
+        return [];
+    }
+
+    return rankRelated(target, corpus, limit).map(({ note, score, matchedTerms }) => ({
+        note: { _id: note._id, title: note.title, updatedAt: note.updatedAt },
+        score: Math.round(score * 1000) / 1000,
+        matchedTerms
+    }));
+};
+
+/**
+ * Move notes of an owner to a notebook
+ * @param {Array} noteIds - IDs of the notes to move
+ * @param {Object|null} notebookId - Target notebook, null to unfile
+ * @param {Object} ownerId - Owner ID
+ * @returns {Promise<number>} Number of notes moved
+ */
+const moveNotes = async (noteIds, notebookId, ownerId) => {
+    const result = await Note.updateMany(
+        { _id: { $in: noteIds }, ownerId, deletedAt: null },
+        { notebookId }
+    );
+    return result.modifiedCount;
+};
+
+/**
+ * Move a note to the trash
+ * @param {Object} noteId - Note ID
+ * @param {Object} ownerId - Owner ID
+ * @returns {Promise<Object|null>} { note, deletedAt, purgeAt } or null if not found
+ */
+const trashNote = async (noteId, ownerId) => {
+    const deletedAt = new Date();
+    const purgeAt = new Date(deletedAt.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+    const note = await Note.findOneAndUpdate(
+        { _id: noteId, ownerId, deletedAt: null },
+        { deletedAt, purgeAt },
+        { new: true }
+    );
+
+    if (!note) {
+        return null;
+    }
+
+    // History and attachments expire together with the note
+    await NoteRevision.updateMany({ noteId: note._id }, { purgeAt });
+    await Attachment.updateMany({ noteId: note._id }, { purgeAt });
+
+    return { note, deletedAt, purgeAt };
+};
+
+/**
+ * Restore a note from the trash
+ * @param {Object} noteId - Note ID
+ * @returns {Promise<Object|null>} Restored note
+ */
+const restoreNoteFromTrash = async (noteId) => {
+    const note = await Note.findByIdAndUpdate(
+        noteId,
+        { deletedAt: null, purgeAt: null },
+        { new: true }
+    );
+
+    if (note) {
+        await NoteRevision.updateMany({ noteId: note._id }, { purgeAt: null });
+        await Attachment.updateMany({ noteId: note._id }, { purgeAt: null });
+
+        // The notebook may have been deleted while the note was in the trash
+        if (note.notebookId && !(await Notebook.exists({ _id: note.notebookId }))) {
+            note.notebookId = null;
+            await note.save();
+        }
+    }
+
+    return note;
+};
+
+/**
+ * Delete attachments from storage and the database
+ * @param {Object} filter - Attachment filter
+ * @returns {Promise<number>} Number of attachments deleted
+ */
+const deleteAttachments = async (filter) => {
+    const attachments = await Attachment.find(filter).select('storageKey').lean();
+
+    for (const attachment of attachments) {
+        await storage.delete(attachment.storageKey);
+    }
+
+    await Attachment.deleteMany({ _id: { $in: attachments.map(attachment => attachment._id) } });
+    return attachments.length;
+};
+
+/**
+ * Permanently delete notes and everything that belongs to them
+ * @param {Array} noteIds - IDs of the notes to delete
+ */
+const purgeNotes = async (noteIds) => {
+    await deleteAttachments({ noteId: { $in: noteIds } });
+    await NoteRevision.deleteMany({ noteId: { $in: noteIds } });
+    await Reminder.deleteMany({ noteId: { $in: noteIds } });
+    await Note.deleteMany({ _id: { $in: noteIds } });
+};
+
+/**
+ * Delete attachments of notes whose trash retention is over
+ * Notes and revisions are removed by their TTL indexes, but files in storage
+ * can't be, so this runs periodically (see startAttachmentCleanup)
+ */
+const purgeExpiredAttachments = () => deleteAttachments({ purgeAt: { $ne: null, $lte: new Date() } });
+
+/**
+ * Periodically purge expired attachments
+ * @param {number} intervalMs - Interval between runs
+ * @returns {Object} Interval handle
+ */
+const startAttachmentCleanup = (intervalMs = 60 * 60 * 1000) => {
+    const timer = setInterval(() => {
+        purgeExpiredAttachments()
+            .then(count => {
+                if (count > 0) console.log(`🧹 Purged ${count} expired attachment(s)`);
+            })
+            .catch(error => console.error('❌ Attachment cleanup failed:', error.message));
+    }, intervalMs);
+
+    // Don't keep the process alive just for the cleanup
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    TRASH_RETENTION_DAYS,
+    DEFAULT_RELATED_LIMIT,
+    NOTE_SORTS,
+    DEFAULT_NOTE_SORT,
+    TITLE_COLLATION,
+    saveRevision,
+    updateNoteWithHistory,
+    noteSortKeys,
+    buildStateFilter,
+    updateNoteState,
+    reorderNotes,
+    backfillNoteState,
+    migrateTextIndex,
+    backfillPlainText,
+    formatSummary,
+    refreshSummary,
+    backfillNoteAnalysis,
+    loadRelatedCorpus,
+    findRelatedNotes,
+    moveNotes,
+    trashNote,
+    restoreNoteFromTrash,
+    deleteAttachments,
+    purgeNotes,
+    startAttachmentCleanup
+};
@@ -0,0 +1,196 @@
+const createError = require('http-errors');
+const Reminder = require('../../models/Reminder.model');
+const Note = require('../../models/Note.model');
+const { formatReminder, findActiveReminder, setReminder } = require('./reminders.service');
+
+// ?status= values of the reminder list
+const STATUS_FILTERS = {
+    upcoming: { status: { $in: Reminder.ACTIVE_STATUSES } },
+    sent: { status: 'sent' },
+    failed: { status: 'failed' },
+    dismissed: { status: 'dismissed' },
+    cancelled: { status: 'cancelled' },
+    all: {}
+};
+
+/**
+ * Find a reminder of the current user
+ * @throws {HttpError} 404 when it doesn't exist or belongs to someone else
+ */
+const findOwnReminder = async (reminderId, userId) => {
+    const reminder = await Reminder.findOne({ _id: reminderId, userId });
+    if (!reminder) {
+        throw createError(404, 'Reminder not found');
+    }
+    return reminder;
+};
+
+/**
+ * Update a reminder only if its status is still the one that was checked
+ * (the scheduler may have sent it in the meantime)
+ * @throws {HttpError} 409 when the reminder changed
+ */
+const updateIfUnchanged = async (reminder, update) => {
+    const updated = await Reminder.findOneAndUpdate(
+        { _id: reminder._id, status: reminder.status },
+        update,
+        { new: true }
+    );
+    if (!updated) {
+        throw createError(409, 'The reminder was updated in the meantime. Please try again.');
+    }
+    return updated;
+};
+
+/**
+ * Set (or move) the current user's reminder of a note
+ * Works on notes shared with the user too; the reminder is theirs only
+ * Access is checked by requireNoteAccess('read')
+ */
+const setNoteReminder = async (req, res, next) => {
+    try {
+        const existing = await findActiveReminder(req.note._id, req.user._id);
+        const reminder = await setReminder(req.note._id, req.user._id, new Date(req.body.remindAt));
+
+        res.status(existing ? 200 : 201).json({
+            success: true,
+            message: existing ? 'Reminder updated successfully' : 'Reminder set successfully',
+            data: formatReminder(reminder)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Remove the current user's upcoming reminder of a note (it is kept as dismissed)
+ * Access is checked by requireNoteAccess('read')
+ */
+const deleteNoteReminder = async (req, res, next) => {
+    try {
+        const reminder = await Reminder.findOneAndUpdate(
+            { noteId: req.note._id, userId: req.user._id, status: { $in: Reminder.ACTIVE_STATUSES } },
+            { status: 'dismissed', lockedUntil: null },
+            { new: true }
+        );
+
+        if (!reminder) {
+            return next(createError(404, 'This note has no upcoming reminder'));
+        }
+
+        res.json({
+            success: true,
+            message: 'Reminder removed successfully',
+            data: formatReminder(reminder)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * List the current user's reminders
+ * Upcoming ones (default) soonest first, the others most recent first
+ * Note titles are only included for notes the user can still read (not
+ * trashed, not unshared)
+ */
+const getReminders = async (req, res, next) => {
+    try {
+        const status = req.query.status || 'upcoming';
+        const limit = parseInt(req.query.limit) || 50;
+
+        const reminders = await Reminder.find({ userId: req.user._id, ...STATUS_FILTERS[status] })
+            .sort({ remindAt: status === 'upcoming' ? 1 : -1 })
+            .limit(limit)
+            .lean();
+
+        const notes = await Note.find({
+            _id: { $in: reminders.map(reminder => reminder.noteId) },
+            ...Note.accessFilter(req.user._id),
+            deletedAt: null
+        }).select('title').lean();
+        const notesById = new Map(notes.map(note => [String(note._id), note]));
+
+        res.json({
+            success: true,
+            message: 'Reminders retrieved successfully',
+            data: reminders.map(reminder => formatReminder({
+                ...reminder,
+                noteId: notesById.get(String(reminder.noteId)) || reminder.noteId
+            }))
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Snooze a reminder for some minutes or until a given time
+ * Snoozing a reminder that was already sent schedules a new one, so the sent one stays on record
+ */
+const snoozeReminder = async (req, res, next) => {
+    try {
+        const { minutes, until } = req.body;
+        const reminder = await findOwnReminder(req.params.id, req.user._id);
+
+        if (['dismissed', 'cancelled'].includes(reminder.status)) {
+            return next(createError(400, `A ${reminder.status} reminder cannot be snoozed`));
+        }
+
+        const remindAt = until ? new Date(until) : new Date(Date.now() + minutes * 60 * 1000);
+
+        let snoozed;
+        if (reminder.status === 'sent') {
+            snoozed = await setReminder(reminder.noteId, reminder.userId, remindAt);
+        } else {
+            // The claim is dropped, so a send in progress doesn't overwrite the new time
+            snoozed = await updateIfUnchanged(reminder, {
+                remindAt,
+                status: 'scheduled',
+                nextAttemptAt: remindAt,
+                lockedUntil: null,
+                attempts: 0,
+                lastError: null
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `Reminder snoozed until ${remindAt.toISOString()}`,
+            data: formatReminder(snoozed)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Dismiss an upcoming or failed reminder
+ */
+const dismissReminder = async (req, res, next) => {
+    try {
+        const reminder = await findOwnReminder(req.params.id, req.user._id);
+
+        if (!['scheduled', 'sending', 'failed'].includes(reminder.status)) {
+            return next(createError(400, `A ${reminder.status} reminder cannot be dismissed`));
+        }
+
+        const dismissed = await updateIfUnchanged(reminder, { status: 'dismissed', lockedUntil: null });
+
+        res.json({
+            success: true,
+            message: 'Reminder dismissed successfully',
+            data: formatReminder(dismissed)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    setNoteReminder,
+    deleteNoteReminder,
+    getReminders,
+    snoozeReminder,
+    dismissReminder
+};
\ No newline at end of file
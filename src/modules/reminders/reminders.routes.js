@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+
+// Import middleware and controller
+const { authenticate, requireVerified } = require('../../middleware/auth.middleware');
+const { validate } = require('../../middleware/validation.middleware');
+const {
+    listRemindersSchema,
+    snoozeReminderSchema,
+    objectIdParamSchema
+} = require('../../middleware/validation.middleware');
+const remindersController = require('./reminders.controller');
+
+// All routes require authentication (and a verified email when enforced)
+router.use(authenticate, requireVerified);
+
+// Reminders are set on notes (see PUT /api/notes/:id/reminder)
+router.get('/', validate(listRemindersSchema), remindersController.getReminders);
+router.post('/:id/snooze', validate(snoozeReminderSchema), remindersController.snoozeReminder);
+router.post('/:id/dismiss', validate(objectIdParamSchema), remindersController.dismissReminder);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,212 @@
+const Reminder = require('../../models/Reminder.model');
+const Note = require('../../models/Note.model');
+const User = require('../../models/User.model');
+const { sendEmail } = require('../../email/mailer');
+
+/**
+ * Note reminders and the scheduler that emails them
+ * The scheduler runs inside the app process. Reminders are claimed atomically,
+ * so several app instances can run it side by side without sending twice
+ */
+
+const MAX_SEND_ATTEMPTS = 5;
+const RETRY_BASE_MS = 60 * 1000; // 1, 2, 4 then 8 minutes between attempts
+const SEND_LOCK_MS = 5 * 60 * 1000; // A claim older than this is taken over
+const MAX_REMINDERS_PER_RUN = 50;
+const EXCERPT_LENGTH = 300;
+
+/**
+ * Format a reminder for API responses
+ * @param {Object} reminder - Reminder, noteId may be populated with the title
+ * @returns {Object} Reminder
+ */
+const formatReminder = (reminder) => ({
+    id: reminder._id,
+    noteId: reminder.noteId && reminder.noteId._id ? reminder.noteId._id : reminder.noteId,
+    ...(reminder.noteId && reminder.noteId.title !== undefined && { noteTitle: reminder.noteId.title }),
+    remindAt: reminder.remindAt,
+    status: reminder.status,
+    attempts: reminder.attempts,
+    lastError: reminder.lastError,
+    sentAt: reminder.sentAt,
+    createdAt: reminder.createdAt,
+    updatedAt: reminder.updatedAt
+});
+
+/**
+ * Find the user's active (not yet sent) reminder of a note
+ * @param {Object} noteId - Note ID
+ * @param {Object} userId - User ID
+ * @returns {Promise<Object|null>} Reminder
+ */
+const findActiveReminder = (noteId, userId) => Reminder.findOne({
+    noteId,
+    userId,
+    status: { $in: Reminder.ACTIVE_STATUSES }
+});
+
+/**
+ * Set the user's reminder of a note, replacing the active one if there is one
+ * Sent, failed and dismissed reminders are kept as a record
+ * @param {Object} noteId - Note ID
+ * @param {Object} userId - User ID
+ * @param {Date} remindAt - When to send the reminder
+ * @returns {Promise<Object>} Reminder
+ */
+const setReminder = async (noteId, userId, remindAt) => {
+    const schedule = {
+        remindAt,
+        status: 'scheduled',
+        nextAttemptAt: remindAt,
+        lockedUntil: null,
+        attempts: 0,
+        lastError: null
+    };
+
+    const existing = await Reminder.findOneAndUpdate(
+        { noteId, userId, status: { $in: Reminder.ACTIVE_STATUSES } },
+        schedule,
+        { new: true }
+    );
+
+    return existing || Reminder.create({ noteId, userId, ...schedule });
+};
+
+/**
+ * Short text of a note for the email: its summary, or the start of its text
+ */
+const noteExcerpt = (note) => {
+    const text = (note.summary && note.summary.text) || note.plainText || note.content || '';
+    return text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH - 1)}…` : text;
+};
+
+/**
+ * Send a claimed reminder and record the outcome
+ * Failed sends are retried with exponential backoff, up to MAX_SEND_ATTEMPTS
+ * @param {Object} reminder - Reminder with status sending
+ * @returns {Promise<string>} Outcome: sent, retry, failed, cancelled or deleted
+ */
+const deliverReminder = async (reminder) => {
+    const [note, user] = await Promise.all([
+        Note.findById(reminder.noteId).lean(),
+        User.findById(reminder.userId).select('email locale').lean()
+    ]);
+
+    // Only update the reminder if the user didn't snooze or dismiss it meanwhile
+    const claimed = { _id: reminder._id, status: 'sending' };
+
+    if (!user) {
+        await Reminder.deleteOne({ _id: reminder._id });
+        return 'deleted';
+    }
+
+    const cancelReason = !note ? 'Note was deleted'
+        : note.deletedAt ? 'Note is in the trash'
+            : !Note.getPermission(note, user._id) ? 'Note is no longer shared with the user'
+                : null;
+
+    if (cancelReason) {
+        await Reminder.updateOne(claimed, { status: 'cancelled', lockedUntil: null, lastError: cancelReason });
+        return 'cancelled';
+    }
+
+    const attempts = reminder.attempts + 1;
+
+    // Sent directly rather than queued: the reminder keeps track of its own attempts
+    try {
+        await sendEmail(user.email, 'reminder', {
+            noteId: note._id,
+            title: note.title,
+            excerpt: noteExcerpt(note),
+            remindAt: reminder.remindAt
+        }, { locale: user.locale });
+    } catch (error) {
+        const retry = attempts < MAX_SEND_ATTEMPTS;
+
+        await Reminder.updateOne(claimed, {
+            status: retry ? 'scheduled' : 'failed',
+            ...(retry && { nextAttemptAt: new Date(Date.now() + RETRY_BASE_MS * 2 ** (attempts - 1)) }),
+            lockedUntil: null,
+            attempts,
+            lastError: error.message
+        });
+        return retry ? 'retry' : 'failed';
+    }
+
+    await Reminder.updateOne(claimed, {
+        status: 'sent',
+        sentAt: new Date(),
+        lockedUntil: null,
+        attempts,
+        lastError: null
+    });
+    return 'sent';
+};
+
+/**
+ * Send the reminders that are due
+ * @returns {Promise<Object>} Count per outcome
+ */
+const processDueReminders = async () => {
+    const outcomes = {};
+
+    for (let i = 0; i < MAX_REMINDERS_PER_RUN; i++) {
+        const now = new Date();
+
+        // Claim one reminder at a time: due ones, and ones a stopped process left behind
+        const reminder = await Reminder.findOneAndUpdate(
+            {
+                $or: [
+                    { status: 'scheduled', nextAttemptAt: { $lte: now } },
+                    { status: 'sending', lockedUntil: { $lte: now } }
+                ]
+            },
+            { status: 'sending', lockedUntil: new Date(now.getTime() + SEND_LOCK_MS) },
+            { new: true, sort: { nextAttemptAt: 1 } }
+        );
+
+        if (!reminder) break;
+
+        const outcome = await deliverReminder(reminder);
+        outcomes[outcome] = (outcomes[outcome] || 0) + 1;
+    }
+
+    return outcomes;
+};
+
+/**
+ * Periodically send due reminders
+ * A run that is still going when the next one is due is not overlapped
+ * @param {number} intervalMs - Interval between runs
+ * @returns {Object} Interval handle
+ */
+const startReminderScheduler = (intervalMs = 60 * 1000) => {
+    let running = false;
+
+    const timer = setInterval(() => {
+        if (running) return;
+        running = true;
+
+        processDueReminders()
+            .then(outcomes => {
+                if (outcomes.sent) console.log(`⏰ Sent ${outcomes.sent} reminder(s)`);
+                if (outcomes.failed) console.error(`❌ Gave up on ${outcomes.failed} reminder(s) after ${MAX_SEND_ATTEMPTS} attempts`);
+            })
+            .catch(error => console.error('❌ Reminder scheduler failed:', error.message))
+            .finally(() => {
+                running = false;
+            });
+    }, intervalMs);
+
+    // Don't keep the process alive just for the scheduler
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    formatReminder,
+    findActiveReminder,
+    setReminder,
+    processDueReminders,
+    startReminderScheduler
+};
\ No newline at end of file
@@ -0,0 +1,57 @@
+const fs = require('fs');
+const path = require('path');
+const createError = require('http-errors');
+
+/**
+ * Local disk storage backend
+ * Stores objects as files below a root directory, using the key as relative path
+ *
+ * @param {Object} options - Options
+ * @param {string} options.root - Root directory
+ * @returns {Object} Storage backend (see storage.js)
+ */
+const createLocalStorage = ({ root }) => {
+    const rootDir = path.resolve(root);
+
+    // Map a key to a file path, refusing keys that escape the root
+    const resolveKey = (key) => {
+        const filePath = path.resolve(rootDir, key);
+        if (!filePath.startsWith(rootDir + path.sep)) {
+            throw createError(400, 'Invalid storage key');
+        }
+        return filePath;
+    };
+
+    return {
+        name: 'local',
+
+        async put(key, data) {
+            const filePath = resolveKey(key);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(filePath, data);
+        },
+
+        async getStream(key) {
+            const filePath = resolveKey(key);
+            try {
+                await fs.promises.access(filePath);
+            } catch (error) {
+                throw createError(404, 'File not found');
+            }
+            return fs.createReadStream(filePath);
+        },
+
+        async delete(key) {
+            try {
+                await fs.promises.unlink(resolveKey(key));
+            } catch (error) {
+                // Already gone is fine
+                if (error.code !== 'ENOENT') throw error;
+            }
+        }
+    };
+};
+
+module.exports = {
+    createLocalStorage
+};
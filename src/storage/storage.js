@@ -0,0 +1,40 @@
+const path = require('path');
+const { createLocalStorage } = require('./local.storage');
+
+/**
+ * File storage abstraction
+ *
+ * Every backend implements the same interface, so the local disk backend can
+ * be swapped for another one (e.g. S3-compatible) by setting STORAGE_DRIVER:
+ *
+ *   put(key, data: Buffer): Promise<void>
+ *   getStream(key): Promise<Readable>   - rejects with a 404 error if missing
+ *   delete(key): Promise<void>          - resolves if the object is already gone
+ *
+ * Keys are relative, slash-separated paths such as "attachments/<noteId>/<file>".
+ */
+
+// Registered backends: driver name -> factory
+const drivers = {
+    local: () => createLocalStorage({
+        root: process.env.STORAGE_LOCAL_ROOT || path.join(__dirname, '../../uploads')
+    })
+};
+
+/**
+ * Create the storage backend for a driver
+ * @param {string} driver - Driver name
+ * @returns {Object} Storage backend
+ */
+const createStorage = (driver = process.env.STORAGE_DRIVER || 'local') => {
+    const factory = drivers[driver];
+    if (!factory) {
+        throw new Error(`Unknown storage driver "${driver}". Available drivers: ${Object.keys(drivers).join(', ')}`);
+    }
+    return factory();
+};
+
+module.exports = {
+    storage: createStorage(),
+    createStorage
+};
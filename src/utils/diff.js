@@ -0,0 +1,119 @@
+/**
+ * Line-based text diff (Myers' O(ND) algorithm)
+ * Used to compare note revisions without external dependencies
+ */
+
+// Beyond this many edits, fall back to "replace everything" to bound memory
+const MAX_EDIT_DISTANCE = 1000;
+
+/**
+ * Compute the shortest edit script between two line arrays
+ * @param {Array<string>} a - Old lines
+ * @param {Array<string>} b - New lines
+ * @returns {Array<Object>|null} Operations ({ type, line }) or null if too many edits
+ */
+const myers = (a, b) => {
+    const n = a.length;
+    const m = b.length;
+    const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+    const v = { 1: 0 };
+    const trace = [];
+
+    for (let d = 0; d <= max; d++) {
+        trace.push({ ...v });
+
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && v[k - 1] < v[k + 1])) ? v[k + 1] : v[k - 1] + 1;
+            let y = x - k;
+
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+
+            v[k] = x;
+
+            if (x >= n && y >= m) {
+                return backtrack(a, b, trace);
+            }
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Walk the Myers trace backwards to recover the edit operations
+ */
+const backtrack = (a, b, trace) => {
+    const ops = [];
+    let x = a.length;
+    let y = b.length;
+
+    for (let d = trace.length - 1; d >= 0; d--) {
+        const v = trace[d];
+        const k = x - y;
+        const prevK = (k === -d || (k !== d && v[k - 1] < v[k + 1])) ? k + 1 : k - 1;
+        const prevX = v[prevK];
+        const prevY = prevX - prevK;
+
+        while (x > prevX && y > prevY) {
+            ops.push({ type: 'equal', line: a[x - 1] });
+            x--;
+            y--;
+        }
+
+        if (d > 0) {
+            if (x === prevX) {
+                ops.push({ type: 'added', line: b[y - 1] });
+            } else {
+                ops.push({ type: 'removed', line: a[x - 1] });
+            }
+        }
+
+        x = prevX;
+        y = prevY;
+    }
+
+    return ops.reverse();
+};
+
+/**
+ * Diff two texts line by line
+ * @param {string} oldText - Original text
+ * @param {string} newText - Changed text
+ * @returns {Object} { changes: [{ type, lines }], added, removed }
+ *   where type is 'equal', 'added' or 'removed'
+ */
+const diffLines = (oldText = '', newText = '') => {
+    const a = oldText.split('\n');
+    const b = newText.split('\n');
+
+    const ops = myers(a, b) || [
+        ...a.map(line => ({ type: 'removed', line })),
+        ...b.map(line => ({ type: 'added', line }))
+    ];
+
+    // Group consecutive operations of the same type
+    const changes = [];
+    let added = 0;
+    let removed = 0;
+
+    for (const op of ops) {
+        if (op.type === 'added') added++;
+        if (op.type === 'removed') removed++;
+
+        const last = changes[changes.length - 1];
+        if (last && last.type === op.type) {
+            last.lines.push(op.line);
+        } else {
+            changes.push({ type: op.type, lines: [op.line] });
+        }
+    }
+
+    return { changes, added, removed };
+};
+
+module.exports = {
+    diffLines
+};
@@ -0,0 +1,64 @@
+/**
+ * Markdown files with YAML front matter, used to export and import notes
+ */
+const YAML = require('yaml');
+
+/**
+ * Build a Markdown file from metadata and a body
+ * @param {Object} metadata - Front matter fields (undefined and null fields are left out)
+ * @param {string} body - Markdown or plain text body
+ * @returns {string} File content
+ */
+const toMarkdownFile = (metadata, body) => {
+    const fields = Object.fromEntries(
+        Object.entries(metadata).filter(([, value]) => value !== undefined && value !== null)
+    );
+
+    return `---\n${YAML.stringify(fields)}---\n\n${body}\n`;
+};
+
+/**
+ * Split a Markdown file into its front matter and body
+ * Files without front matter have empty metadata
+ * @param {string} text - File content
+ * @returns {Object} { metadata, body }
+ * @throws {Error} When the front matter isn't a valid YAML mapping
+ */
+const parseMarkdownFile = (text) => {
+    const match = text.match(/^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/);
+    if (!match) {
+        return { metadata: {}, body: text };
+    }
+
+    const metadata = YAML.parse(match[1]) ?? {};
+    if (typeof metadata !== 'object' || Array.isArray(metadata)) {
+        throw new Error('Front matter must be a YAML mapping');
+    }
+
+    // toMarkdownFile puts a blank line after the front matter and a final newline
+    const body = text.slice(match[0].length).replace(/^\r?\n/, '').replace(/\r?\n$/, '');
+    return { metadata, body };
+};
+
+/**
+ * Make a string safe to use as a file or directory name in an archive
+ * @param {string} name - Name, e.g. a note title
+ * @param {string} fallback - Used when nothing is left of the name
+ * @returns {string} File name without path separators or reserved characters
+ */
+const toSafeFilename = (name, fallback = 'untitled') => {
+    const safe = String(name || '')
+        .replace(/[/\\?%*:|"<>\x00-\x1f]/g, '-')
+        .replace(/\s+/g, ' ')
+        .replace(/^[\s.]+|[\s.]+$/g, '')
+        .slice(0, 100)
+        .trim();
+
+    return safe || fallback;
+};
+
+module.exports = {
+    toMarkdownFile,
+    parseMarkdownFile,
+    toSafeFilename
+};
@@ -0,0 +1,59 @@
+const sharp = require('sharp');
+
+/**
+ * Image helpers for uploaded pictures
+ * Detects the real file type from its content and builds avatar variants
+ */
+
+// Signatures of the image formats we accept
+const IMAGE_SIGNATURES = [
+    { mimeType: 'image/jpeg', matches: (buf) => buf.length >= 3 && buf[0] === 0xFF && buf[1] === 0xD8 && buf[2] === 0xFF },
+    { mimeType: 'image/png', matches: (buf) => buf.length >= 8 && buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) },
+    { mimeType: 'image/gif', matches: (buf) => buf.length >= 6 && ['GIF87a', 'GIF89a'].includes(buf.toString('ascii', 0, 6)) },
+    { mimeType: 'image/webp', matches: (buf) => buf.length >= 12 && buf.toString('ascii', 0, 4) === 'RIFF' && buf.toString('ascii', 8, 12) === 'WEBP' }
+];
+
+// Square avatar sizes in pixels, "thumb" is the small list/comment variant
+const AVATAR_SIZES = {
+    large: 512,
+    medium: 256,
+    small: 128,
+    thumb: 48
+};
+
+/**
+ * Detect an image type from its magic bytes, ignoring the declared mimetype
+ * @param {Buffer} buffer - File content
+ * @returns {string|null} MIME type or null if not a supported image
+ */
+const sniffImageType = (buffer) => {
+    const signature = IMAGE_SIGNATURES.find(({ matches }) => matches(buffer));
+    return signature ? signature.mimeType : null;
+};
+
+/**
+ * Build all avatar variants of an image
+ * The image is rotated according to its EXIF orientation, then re-encoded,
+ * which drops EXIF and other metadata (GPS location, camera details...).
+ * @param {Buffer} buffer - Original image
+ * @returns {Promise<Object>} Variant name -> WebP buffer
+ */
+const createAvatarVariants = async (buffer) => {
+    const variants = {};
+
+    for (const [name, size] of Object.entries(AVATAR_SIZES)) {
+        variants[name] = await sharp(buffer)
+            .rotate()
+            .resize(size, size, { fit: 'cover', position: 'attention' })
+            .webp({ quality: 85 })
+            .toBuffer();
+    }
+
+    return variants;
+};
+
+module.exports = {
+    AVATAR_SIZES,
+    sniffImageType,
+    createAvatarVariants
+};
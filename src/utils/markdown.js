@@ -0,0 +1,138 @@
+/**
+ * Rendering and text extraction for note content
+ * Notes are either plain text or Markdown; both can be rendered to safe HTML
+ */
+const { marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+
+// Supported note content formats
+const CONTENT_FORMATS = ['plain', 'markdown'];
+
+// HTML allowed in rendered notes: what Markdown produces, nothing executable
+const SANITIZE_OPTIONS = {
+    allowedTags: [
+        'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'br', 'hr', 'blockquote', 'pre', 'code',
+        'ul', 'ol', 'li', 'strong', 'em', 'del', 's', 'a', 'img', 'input',
+        'table', 'thead', 'tbody', 'tr', 'th', 'td'
+    ],
+    allowedAttributes: {
+        a: ['href', 'title', 'rel', 'target'],
+        img: ['src', 'alt', 'title'],
+        code: ['class'],
+        input: ['type', 'checked', 'disabled'],
+        th: ['align'],
+        td: ['align'],
+        ol: ['start']
+    },
+    allowedClasses: {
+        code: [/^language-[\w-]+$/]
+    },
+    allowedSchemes: ['http', 'https', 'mailto'],
+    allowedSchemesByTag: {
+        img: ['http', 'https']
+    },
+    allowProtocolRelative: false,
+    // Task list checkboxes are the only inputs Markdown creates
+    exclusiveFilter: (frame) => frame.tag === 'input' && frame.attribs.type !== 'checkbox',
+    transformTags: {
+        a: sanitizeHtml.simpleTransform('a', { rel: 'noopener noreferrer nofollow', target: '_blank' })
+    }
+};
+
+const escapeHtml = (text) => text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'", '&nbsp;': ' ' };
+
+const decodeEntities = (text) => text.replace(/&(amp|lt|gt|quot|#39|nbsp);/g, entity => ENTITIES[entity]);
+
+/**
+ * Render note content to sanitized HTML
+ * @param {string} content - Note content
+ * @param {string} format - plain or markdown
+ * @returns {string} HTML that is safe to insert into a page
+ */
+const renderContent = (content = '', format = 'plain') => {
+    if (format !== 'markdown') {
+        // Paragraphs on blank lines, line breaks on single newlines
+        return content
+            .split(/\n{2,}/)
+            .filter(paragraph => paragraph.trim())
+            .map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`)
+            .join('\n');
+    }
+
+    const html = marked.parse(content, { async: false, gfm: true });
+    return sanitizeHtml(html, SANITIZE_OPTIONS);
+};
+
+/**
+ * Collect the visible text of Markdown tokens
+ * @param {Array} tokens - Tokens from marked.lexer
+ * @param {string} separator - Joins sibling tokens ("\n" for blocks, "" for inline)
+ * @returns {string} Text
+ */
+const tokensToText = (tokens = [], separator = '') => tokens
+    .map(token => {
+        switch (token.type) {
+        case 'space':
+        case 'hr':
+            return '';
+        case 'br':
+            return '\n';
+        case 'html':
+            return decodeEntities(token.text
+                .replace(/<(script|style)\b[\s\S]*?<\/\1\s*>/gi, '')
+                .replace(/<br\s*\/?>/gi, '\n')
+                .replace(/<[^>]*>/g, ''));
+        case 'list':
+            return token.items.map(item => tokensToText(item.tokens, '\n')).join('\n');
+        case 'table':
+            return [token.header, ...token.rows]
+                .map(row => row.map(cell => tokensToText(cell.tokens)).join(' '))
+                .join('\n');
+        case 'code':
+        case 'codespan':
+            return token.text;
+        default:
+            return token.tokens ? tokensToText(token.tokens) : (token.text || '');
+        }
+    })
+    .filter(text => text !== '' || separator === '')
+    .join(separator);
+
+/**
+ * Extract the plain text of note content, without Markdown syntax or HTML
+ * Used for the search index and snippets
+ * @param {string} content - Note content
+ * @param {string} format - plain or markdown
+ * @returns {string} Plain text
+ */
+const toPlainText = (content = '', format = 'plain') => {
+    if (format !== 'markdown') {
+        return content;
+    }
+
+    return tokensToText(marked.lexer(content, { gfm: true }), '\n').trim();
+};
+
+/**
+ * Find the text of the first heading of Markdown content
+ * @param {string} content - Markdown content
+ * @returns {string|null} Heading text without Markdown syntax
+ */
+const findFirstHeading = (content = '') => {
+    const heading = marked.lexer(content, { gfm: true }).find(token => token.type === 'heading');
+    return heading ? tokensToText(heading.tokens).trim() || null : null;
+};
+
+module.exports = {
+    CONTENT_FORMATS,
+    renderContent,
+    toPlainText,
+    findFirstHeading
+};
@@ -0,0 +1,131 @@
+/**
+ * Helpers for MongoDB text search queries
+ * Parses the $text query syntax and builds highlighted snippets of matches
+ */
+
+// Characters shown around a match in a snippet
+const SNIPPET_RADIUS = 60;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (text) => text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Very small stemmer so "meetings" highlights "meeting" like MongoDB matches it
+ * @param {string} term - Lowercased search term
+ * @returns {string} Term without common English suffixes
+ */
+const stem = (term) => {
+    const stemmed = term.replace(/(ings|ing|ies|es|ed|s)$/, '');
+    return stemmed.length >= 3 ? stemmed : term;
+};
+
+/**
+ * Parse a $text search string
+ * Supports "exact phrases" and -excluded terms, like MongoDB
+ * @param {string} search - Raw search string
+ * @returns {Object} { terms, phrases, excluded }
+ */
+const parseSearchQuery = (search = '') => {
+    const phrases = [];
+    const terms = [];
+    const excluded = [];
+
+    const rest = search.replace(/-?"([^"]*)"/g, (match, phrase) => {
+        if (!match.startsWith('-') && phrase.trim()) {
+            phrases.push(phrase.trim().toLowerCase());
+        }
+        return ' ';
+    });
+
+    for (const word of rest.split(/\s+/).filter(Boolean)) {
+        if (word.startsWith('-')) {
+            if (word.length > 1) excluded.push(word.slice(1).toLowerCase());
+        } else {
+            terms.push(word.toLowerCase());
+        }
+    }
+
+    return { terms, phrases, excluded };
+};
+
+/**
+ * Build a regex matching every positive term and phrase of a query
+ * @param {Object} parsed - Result of parseSearchQuery
+ * @returns {RegExp|null}
+ */
+const buildMatcher = ({ terms, phrases }) => {
+    const patterns = [
+        ...phrases.map(phrase => escapeRegExp(phrase).replace(/\s+/g, '\\s+')),
+        ...terms.map(term => `${escapeRegExp(stem(term))}\\w*`)
+    ];
+
+    return patterns.length ? new RegExp(`\\b(?:${patterns.join('|')})`, 'gi') : null;
+};
+
+/**
+ * Wrap matches in <mark> tags, HTML-escaping everything else
+ */
+const markMatches = (text, matcher) => {
+    let result = '';
+    let lastIndex = 0;
+
+    for (const match of text.matchAll(matcher)) {
+        result += escapeHtml(text.slice(lastIndex, match.index));
+        result += `<mark>${escapeHtml(match[0])}</mark>`;
+        lastIndex = match.index + match[0].length;
+    }
+
+    return result + escapeHtml(text.slice(lastIndex));
+};
+
+/**
+ * Highlight where a search matched a note
+ * @param {Object} note - Note with title and plainText (or content)
+ * @param {string} search - Raw search string
+ * @param {number} maxSnippets - Maximum content snippets to return
+ * @returns {Object} { title, content } where title is the highlighted title
+ *   and content is an array of highlighted snippets (HTML-escaped)
+ */
+const highlight = (note, search, maxSnippets = 3) => {
+    const matcher = buildMatcher(parseSearchQuery(search));
+    if (!matcher) {
+        return { title: escapeHtml(note.title || ''), content: [] };
+    }
+
+    // Snippets come from the plain text so they don't show Markdown syntax
+    const content = note.plainText || note.content || '';
+    const snippets = [];
+    let coveredUntil = -1;
+
+    for (const match of content.matchAll(matcher)) {
+        if (snippets.length >= maxSnippets) break;
+
+        // Skip matches already inside the previous snippet
+        if (match.index < coveredUntil) continue;
+
+        // Don't repeat text already shown in the previous snippet
+        const start = Math.max(0, coveredUntil, match.index - SNIPPET_RADIUS);
+        const end = Math.min(content.length, match.index + match[0].length + SNIPPET_RADIUS);
+        coveredUntil = end;
+
+        const prefix = start > 0 ? '…' : '';
+        const suffix = end < content.length ? '…' : '';
+        snippets.push(prefix + markMatches(content.slice(start, end), matcher) + suffix);
+    }
+
+    return {
+        title: markMatches(note.title || '', matcher),
+        content: snippets
+    };
+};
+
+module.exports = {
+    parseSearchQuery,
+    highlight
+};
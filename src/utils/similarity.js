@@ -0,0 +1,119 @@
+/**
+ * Content similarity between notes (TF-IDF vectors and cosine similarity)
+ * Each note stores its term counts; inverse document frequencies are computed
+ * from the user's current notes when ranking, so they are never out of date
+ */
+const { tokenize, stem } = require('./summarize');
+
+// Most frequent terms kept per note, enough to compare notes of any length
+const MAX_TERMS = 50;
+const TITLE_WEIGHT = 3; // A word in the title counts as much as three in the content
+
+// Notes less similar than this are not worth recommending
+const MIN_SIMILARITY = 0.05;
+
+/**
+ * Count the terms of a note
+ * @param {Object} note - { title, plainText }
+ * @returns {Array} [{ term, count }] of the most frequent stems
+ */
+const buildTermVector = ({ title = '', plainText = '' }) => {
+    const counts = new Map();
+    const add = (words, weight) => {
+        for (const word of words) {
+            const term = stem(word);
+            counts.set(term, (counts.get(term) || 0) + weight);
+        }
+    };
+
+    add(tokenize(title), TITLE_WEIGHT);
+    add(tokenize(plainText), 1);
+
+    return [...counts]
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, MAX_TERMS)
+        .map(([term, count]) => ({ term, count }));
+};
+
+/**
+ * TF-IDF weights of a term vector, with sublinear term frequency
+ * @returns {Map} Term -> weight
+ */
+const weigh = (terms, idf) => new Map(
+    terms.map(({ term, count }) => [term, (1 + Math.log(count)) * idf(term)])
+);
+
+const norm = (weights) => Math.sqrt([...weights.values()].reduce((sum, weight) => sum + weight * weight, 0));
+
+/**
+ * Index the user's notes for ranking: document frequency of every term
+ * Build it once to rank several target notes against the same notes
+ * @param {Array} notes - The user's notes with _id and terms
+ * @returns {Object} { notes, ids, documentFrequency }
+ */
+const buildCorpus = (notes) => {
+    const documentFrequency = new Map();
+    for (const note of notes) {
+        for (const { term } of note.terms || []) {
+            documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+        }
+    }
+
+    return {
+        notes,
+        ids: new Set(notes.map(note => String(note._id))),
+        documentFrequency
+    };
+};
+
+/**
+ * Rank notes by similarity to a target note
+ * @param {Object} target - Note with _id and terms
+ * @param {Object} corpus - The user's notes, from buildCorpus (may include the target)
+ * @param {number} limit - Maximum number of results
+ * @returns {Array} [{ note, score, matchedTerms }], most similar first
+ */
+const rankRelated = (target, corpus, limit) => {
+    const targetId = String(target._id);
+    const { notes, documentFrequency } = corpus;
+
+    // A target outside the notes (e.g. one shared with the user) counts as one more document
+    const extra = corpus.ids.has(targetId) ? null : new Set((target.terms || []).map(({ term }) => term));
+    const corpusSize = notes.length + (extra ? 1 : 0);
+    const frequency = (term) => (documentFrequency.get(term) || 0) + (extra && extra.has(term) ? 1 : 0);
+
+    // Smoothed IDF: terms in every note still count a little
+    const idf = (term) => Math.log((1 + corpusSize) / (1 + frequency(term))) + 1;
+
+    const targetWeights = weigh(target.terms || [], idf);
+    const targetNorm = norm(targetWeights);
+    if (targetNorm === 0) {
+        return [];
+    }
+
+    return notes
+        .filter(note => String(note._id) !== targetId && (note.terms || []).length > 0)
+        .map(note => {
+            const weights = weigh(note.terms, idf);
+            const shared = [...weights].filter(([term]) => targetWeights.has(term));
+            const dot = shared.reduce((sum, [term, weight]) => sum + weight * targetWeights.get(term), 0);
+
+            return {
+                note,
+                score: dot / (targetNorm * norm(weights)),
+                matchedTerms: shared
+                    .sort((a, b) => b[1] * targetWeights.get(b[0]) - a[1] * targetWeights.get(a[0]))
+                    .slice(0, 5)
+                    .map(([term]) => term)
+            };
+        })
+        .filter(({ score }) => score >= MIN_SIMILARITY)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+};
+
+module.exports = {
+    buildTermVector,
+    buildCorpus,
+    rankRelated
+};
\ No newline at end of file
@@ -0,0 +1,168 @@
+/**
+ * Local note analysis: extractive summary, keywords and suggested tags
+ * Everything is computed from word frequencies in the note itself, with no external service
+ */
+
+// Bump when the analysis (or the term vectors of utils/similarity) changes,
+// so stored results are recomputed (see backfillNoteAnalysis)
+const ANALYSIS_VERSION = 2;
+
+const SUMMARY_SENTENCES = 3;
+const MAX_SUMMARY_LENGTH = 500;
+const KEYWORD_COUNT = 10;
+const SUGGESTED_TAG_COUNT = 5;
+const TITLE_WEIGHT = 3; // A word in the title counts as much as three in the content
+
+// Common English words that say nothing about a note's topic
+const STOP_WORDS = new Set(`
+a about above after again against all also am an and any are aren't as at be because been before being
+below between both but by can can't cannot could couldn't did didn't do does doesn't doing don't down
+during each etc even ever every few for from further get gets got had hadn't has hasn't have haven't
+having he he'd he'll he's her here here's hers herself him himself his how how's however i i'd i'll
+i'm i've if in into is isn't it it's its itself just let's like make made many may me might more most
+much must mustn't my myself need new no nor not now of off often on once one only or other ought our
+ours ourselves out over own per really same says see shan't she she'd she'll she's should shouldn't
+since so some still such than that that's the their theirs them themselves then there there's these
+they they'd they'll they're they've this those though through thus to too under until up upon us use
+used using very via want was wasn't way we we'd we'll we're we've well were weren't what what's when
+when's where where's whether which while who who's whom whose why why's will with within without won't
+would wouldn't yes yet you you'd you'll you're you've your yours yourself yourselves
+`.trim().split(/\s+/));
+
+/**
+ * Split text into words, lowercased, with stop words and numbers removed
+ * @param {string} text - Plain text
+ * @returns {Array} Words
+ */
+const tokenize = (text = '') => (text.toLowerCase().match(/[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu) || [])
+    .map(word => word.replace(/’/g, '\'').replace(/'s$/, ''))
+    .filter(word => word.length > 2 && !STOP_WORDS.has(word) && !/^\d+$/.test(word));
+
+/**
+ * Light stemming so that "note" and "notes" count as the same keyword
+ * @param {string} word - Lowercase word
+ * @returns {string} Stem
+ */
+const stem = (word) => {
+    if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+    if (word.length > 4 && /(x|ch|sh|ss|z)es$/.test(word)) return word.slice(0, -2);
+    if (word.length > 3 && word.endsWith('s') && !/(ss|us|is)$/.test(word)) return word.slice(0, -1);
+    return word;
+};
+
+/**
+ * Split text into sentences; line breaks end a sentence too (lists, headings)
+ * @param {string} text - Plain text
+ * @returns {Array} Sentences
+ */
+const splitSentences = (text = '') => text
+    .split(/\n+|(?<=[.!?])\s+(?=[\p{Lu}\p{N}"'(])/u)
+    .map(sentence => sentence.replace(/\s+/g, ' ').trim())
+    .filter(sentence => tokenize(sentence).length > 0);
+
+/**
+ * Join sentences, ending those without punctuation (list items, headings) with a period
+ */
+const joinSentences = (sentences) => sentences
+    .map(sentence => (/[.!?…:]$/.test(sentence) ? sentence : `${sentence}.`))
+    .join(' ');
+
+/**
+ * Shorten text to a maximum length at a word boundary
+ */
+const truncate = (text, maxLength) => {
+    if (text.length <= maxLength) {
+        return text;
+    }
+    const cut = text.slice(0, maxLength - 1);
+    return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : cut.length)}…`;
+};
+
+/**
+ * Weight of each stem: its frequency relative to the most frequent one
+ * @returns {Map} Stem -> { weight, form, firstIndex }, form being the most used spelling
+ */
+const weighTerms = (title, text) => {
+    const terms = new Map();
+    const words = [
+        ...tokenize(title).map(word => ({ word, count: TITLE_WEIGHT })),
+        ...tokenize(text).map(word => ({ word, count: 1 }))
+    ];
+
+    words.forEach(({ word, count }, index) => {
+        const key = stem(word);
+        const term = terms.get(key) || { count: 0, forms: new Map(), firstIndex: index };
+        term.count += count;
+        term.forms.set(word, (term.forms.get(word) || 0) + count);
+        terms.set(key, term);
+    });
+
+    const maxCount = Math.max(0, ...[...terms.values()].map(term => term.count));
+
+    return new Map([...terms].map(([key, term]) => [key, {
+        count: term.count,
+        weight: term.count / maxCount,
+        form: [...term.forms].sort((a, b) => b[1] - a[1])[0][0],
+        firstIndex: term.firstIndex
+    }]));
+};
+
+/**
+ * Pick the sentences that carry the most of the note's frequent words
+ * Sentences are scored by the weight of their words (longer sentences are
+ * damped) and kept in their original order
+ */
+const summarizeSentences = (sentences, terms) => {
+    if (sentences.length <= SUMMARY_SENTENCES) {
+        return joinSentences(sentences);
+    }
+
+    const scored = sentences.map((sentence, index) => {
+        const words = tokenize(sentence);
+        const score = words.reduce((sum, word) => sum + (terms.get(stem(word))?.weight || 0), 0) / Math.sqrt(words.length);
+        return { sentence, index, score };
+    });
+
+    const picked = scored
+        .sort((a, b) => b.score - a.score || a.index - b.index)
+        .slice(0, SUMMARY_SENTENCES)
+        .sort((a, b) => a.index - b.index);
+
+    return joinSentences(picked.map(({ sentence }) => sentence));
+};
+
+/**
+ * Analyze a note
+ * @param {Object} note - { title, plainText, tags }
+ * @returns {Object} { text, keywords, suggestedTags, version, generatedAt }
+ */
+const analyzeNote = ({ title = '', plainText = '', tags = [] }) => {
+    const terms = weighTerms(title, plainText);
+
+    const ranked = [...terms.values()]
+        .sort((a, b) => b.count - a.count || a.firstIndex - b.firstIndex);
+
+    const keywords = ranked.slice(0, KEYWORD_COUNT).map(term => term.form);
+
+    // Tags are suggested for words that come up more than once, minus the note's tags
+    const existingTags = new Set(tags.map(tag => stem(tag.toLowerCase())));
+    const suggestedTags = ranked
+        .filter(term => term.count > 1 && !existingTags.has(stem(term.form)))
+        .slice(0, SUGGESTED_TAG_COUNT)
+        .map(term => term.form.slice(0, 50));
+
+    return {
+        text: truncate(summarizeSentences(splitSentences(plainText), terms), MAX_SUMMARY_LENGTH),
+        keywords,
+        suggestedTags,
+        version: ANALYSIS_VERSION,
+        generatedAt: new Date()
+    };
+};
+
+module.exports = {
+    ANALYSIS_VERSION,
+    tokenize,
+    stem,
+    analyzeNote
+};
\ No newline at end of file